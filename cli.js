@@ -0,0 +1,260 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const fs = require('fs');
+const path = require('path');
+const ShortcodeParser = require('./index');
+const readFile = Promise.promisify(fs.readFile);
+
+const valueOptions = ['handlers', 'start', 'end', 'mode', 'syntax'];
+const usage = `Usage: shortcode-insert [render|tags|check] [options] [files...]
+
+Render shortcode documents, list their tags or check them for problems.  Reads
+from stdin when no files are given (or for a file of -).
+
+Commands:
+  render              Render the documents to stdout (the default).
+  tags                List the tags in the documents as JSON.
+  check               Report malformed tags and tags without a handler.
+
+Options:
+  --handlers <file>   Module adding the handlers.  It exports a function, which
+                      is given the parser, or an object of handlers by tag name.
+  --start <text>      Start delimiter of tags (default [[).
+  --end <text>        End delimiter of tags (default ]]).
+  --mode <mode>       Parser mode, default or wordpress.
+  --syntax <names>    Comma-separated tag syntaxes (eg. liquid,hugo).
+  -h, --help          Show this help.
+
+Exits with 1 if a tag fails to render or check finds problems, 2 on errors.
+`;
+
+/**
+ * @typedef ShortcodeCliArgs
+ * Parsed command-line arguments.
+ *
+ * @property {string} command			Command to run: 'render', 'tags' or
+ *										'check'.
+ * @property {string[]} files			Files to read (- for stdin).
+ * @property {Object} options			Option values by name.
+ * @property {boolean} help				Was help asked for?
+ */
+
+/**
+ * @typedef ShortcodeCliInput
+ * A document read for a command.
+ *
+ * @property {string} file		The file name (- for stdin).
+ * @property {string} txt		The text of the document.
+ */
+
+/**
+ * @typedef ShortcodeCliIo
+ * Streams and directory used by the command-line tool.
+ *
+ * @property {stream.Readable} [stdin=process.stdin]		Stream to read
+ *															documents from
+ *															when no files are
+ *															given.
+ * @property {stream.Writable} [stdout=process.stdout]		Stream for output.
+ * @property {stream.Writable} [stderr=process.stderr]		Stream for errors.
+ * @property {string} [cwd=process.cwd()]					Directory to
+ *															resolve files
+ *															from.
+ */
+
+/**
+ * Parse command-line arguments.  Option values can follow the option or be
+ * joined to it with an = (eg. --start={{).
+ *
+ * @private
+ * @throws {TypeError}					If an option is unknown or has no
+ *										value.
+ * @param {string[]} argv				The arguments.
+ * @returns {ShortcodeCliArgs}			The parsed arguments.
+ */
+function _parseArgs(argv) {
+	const args = {command: 'render', files: [], options: {}, help: false};
+
+	for (let n = 0; n < argv.length; n++) {
+		let arg = argv[n];
+		if ((arg === '-h') || (arg === '--help')) {
+			args.help = true;
+		} else if (arg.startsWith('-') && (arg !== '-')) {
+			let parts = arg.replace(/^--?/, '').split(/=([\s\S]*)/);
+			if (valueOptions.indexOf(parts[0]) === -1) throw new TypeError(`Unknown option '${arg}'`);
+			let value = ((parts.length > 1) ? parts[1] : argv[++n]);
+			if (value === undefined) throw new TypeError(`Option '--${parts[0]}' needs a value`);
+			args.options[parts[0]] = value;
+		} else if ((n === 0) && commands.hasOwnProperty(arg)) {
+			args.command = arg;
+		} else {
+			args.files.push(arg);
+		}
+	}
+
+	return args;
+}
+
+/**
+ * Create the parser for the given arguments, adding the handlers from the
+ * handlers module.
+ *
+ * @private
+ * @param {ShortcodeCliArgs} args		The parsed arguments.
+ * @param {string} cwd					Directory to resolve the handlers
+ *										module from.
+ * @returns {ShortcodeParser}			The parser.
+ */
+function _createParser(args, cwd) {
+	const options = _.omit(args.options, ['handlers']);
+	if (options.syntax) options.syntax = options.syntax.split(',');
+	const parser = ShortcodeParser(options);
+
+	if (args.options.handlers) {
+		const handlers = require(path.resolve(cwd, args.options.handlers));
+		if (_.isFunction(handlers)) {
+			handlers(parser);
+		} else {
+			_.forOwn(handlers, (handler, name)=>parser.add(name, handler));
+		}
+	}
+
+	return parser;
+}
+
+/**
+ * Read all of a stream.
+ *
+ * @private
+ * @param {stream.Readable} stream		The stream to read.
+ * @returns {Promise.<string>}			Promise resolving to the text read.
+ */
+function _readStream(stream) {
+	return new Promise((resolve, reject)=>{
+		let txt = '';
+		stream.setEncoding('utf8');
+		stream.on('data', chunk=>(txt += chunk));
+		stream.on('end', ()=>resolve(txt));
+		stream.on('error', reject);
+	});
+}
+
+/**
+ * Read a document from a file or stdin.
+ *
+ * @private
+ * @param {string} file						The file name (- for stdin).
+ * @param {ShortcodeCliIo} io				Streams and directory to use.
+ * @returns {Promise.<ShortcodeCliInput>}	Promise resolving to the document.
+ */
+function _readInput(file, io) {
+	return ((file === '-') ? _readStream(io.stdin) : readFile(path.resolve(io.cwd, file), 'utf8')).then(txt=>({file, txt}));
+}
+
+/**
+ * Get the line and column of a position in a text, as file:line:column
+ * (with the column starting at 1).
+ *
+ * @private
+ * @param {string} file				The file name.
+ * @param {string} txt				The text.
+ * @param {integer} position		Character number in the text.
+ * @returns {string}				The location.
+ */
+function _location(file, txt, position) {
+	const lines = txt.substring(0, position).split('\n');
+	return `${file}:${lines.length}:${_.last(lines).length + 1}`;
+}
+
+/**
+ * Call a function on each tag node in a document tree, in document order.
+ *
+ * @private
+ * @param {ShortcodeParserNode[]} nodes		The nodes.
+ * @param {Function} fn						Function to call with each tag
+ *											node.
+ */
+function _walkTags(nodes, fn) {
+	nodes.forEach(node=>{
+		if (node.type !== 'tag') return;
+		fn(node);
+		_walkTags(node.children, fn);
+	});
+}
+
+/**
+ * Commands of the command-line tool.  Each is given the parser, the
+ * documents and the streams, returning the exit code (or a promise of it).
+ *
+ * @private
+ * @type {Object.<Function>}
+ */
+const commands = {
+	render: (parser, inputs, io)=>{
+		let failed = false;
+		const report = (input, tag, error)=>{
+			failed = true;
+			io.stderr.write(`${_location(input.file, input.txt, (tag ? (tag.chain[0] || tag).start : 0))}: ${error.message}\n`);
+		};
+
+		return Promise.mapSeries(inputs, input=>parser.render(input.txt, {onError: 'keep'}).then(result=>{
+			io.stdout.write(result.txt);
+			result.errors.forEach(error=>report(input, error.tag, error.error));
+		}, error=>report(input, null, error))).then(()=>(failed ? 1 : 0));
+	},
+
+	tags: (parser, inputs, io)=>{
+		io.stdout.write(JSON.stringify(inputs.map(input=>{
+			const tags = [];
+			_walkTags(parser.extract(input.txt).children, node=>tags.push(_.omit(node, ['type', 'children'])));
+			return {file: input.file, tags};
+		}), null, '\t') + '\n');
+		return 0;
+	},
+
+	check: (parser, inputs, io)=>{
+		let failed = false;
+
+		inputs.forEach(input=>parser.validate(input.txt).forEach(diagnostic=>{
+			failed = true;
+			io.stdout.write(`${_location(input.file, input.txt, diagnostic.start)}: ${diagnostic.severity}: ${diagnostic.message} (${diagnostic.code})\n`);
+		}));
+
+		return (failed ? 1 : 0);
+	}
+};
+
+/**
+ * Run the shortcode-insert command-line tool.
+ *
+ * @public
+ * @param {string[]} argv					Command-line arguments (without
+ *											the node and script paths).
+ * @param {ShortcodeCliIo} [io={}]			Streams and directory to use.
+ * @returns {Promise.<integer>}				Promise resolving to the exit
+ *											code: 0 on success, 1 if a tag
+ *											failed to render or problems were
+ *											found, 2 on errors.
+ */
+function ShortcodeCli(argv, io={}) {
+	const _io = Object.assign({stdin: process.stdin, stdout: process.stdout, stderr: process.stderr, cwd: process.cwd()}, io);
+
+	return Promise.try(()=>{
+		const args = _parseArgs(argv);
+		if (args.help) {
+			_io.stdout.write(usage);
+			return 0;
+		}
+
+		const parser = _createParser(args, _io.cwd);
+		return Promise.mapSeries((args.files.length ? args.files : ['-']), file=>_readInput(file, _io))
+			.then(inputs=>commands[args.command](parser, inputs, _io));
+	}).catch(error=>{
+		_io.stderr.write(`shortcode-insert: ${error.message}\n`);
+		return 2;
+	});
+}
+
+module.exports = ShortcodeCli;
@@ -0,0 +1,295 @@
+'use strict';
+
+const Promise = require('bluebird');
+const _ = require('lodash');
+const ShortcodeParser = require('./index');
+const defaultOptions = {tagName: 'embed', bareUrls: false, handler: {output: 'html'}, timeout: 10000};
+const maxRedirects = 5;
+
+const xYoutubeUrl = /^https?:\/\/(?:www\.|m\.)?(?:youtube\.com\/(?:watch\?(?:.*&)?v=|embed\/|shorts\/)|youtu\.be\/)([\w-]{11})/i;
+const xVimeoUrl = /^https?:\/\/(?:www\.)?vimeo\.com\/(?:channels\/[\w-]+\/)?(\d+)/i;
+const xTwitterUrl = /^https?:\/\/(?:www\.|mobile\.)?(?:twitter|x)\.com\/\w+\/status(?:es)?\/\d+/i;
+const xGistUrl = /^https?:\/\/gist\.github\.com\/([\w-]+\/)?([0-9a-f]+)/i;
+const xUrl = /^https?:\/\/\S+$/i;
+
+/**
+ * @typedef ShortcodeEmbedProvider
+ * A platform, which content can be embedded from.
+ *
+ * @property {RegExp|RegExp[]} match		Expressions matching the urls of
+ *											the platform.
+ * @property {string} [endpoint]			The oEmbed endpoint of the
+ *											platform.  The html of the oEmbed
+ *											response is used as the embed.
+ * @property {Function} [render]			Function given the url, the match
+ *											and the embed options (eg.
+ *											maxwidth), returning the embed
+ *											html (or a promise).  Used instead
+ *											of the endpoint.
+ */
+
+/**
+ * Default providers for common platforms.
+ *
+ * @private
+ * @type {Object.<ShortcodeEmbedProvider>}
+ */
+const defaultProviders = {
+	youtube: {
+		match: xYoutubeUrl,
+		render: (url, match, options)=>_iframe(`https://www.youtube.com/embed/${match[1]}`, options)
+	},
+	vimeo: {
+		match: xVimeoUrl,
+		render: (url, match, options)=>_iframe(`https://player.vimeo.com/video/${match[1]}`, options)
+	},
+	twitter: {
+		match: xTwitterUrl,
+		endpoint: 'https://publish.twitter.com/oembed'
+	},
+	gist: {
+		match: xGistUrl,
+		render: (url, match)=>`<script src="${ShortcodeParser.escapeUrl(`https://gist.github.com/${match[1] || ''}${match[2]}.js`)}"></script>`
+	}
+};
+
+/**
+ * Create iframe html for the given source url.
+ *
+ * @private
+ * @param {string} src						The iframe source.
+ * @param {Object} options					The embed options.
+ * @param {integer} [options.maxwidth]		Width of the iframe.
+ * @param {integer} [options.maxheight]		Height of the iframe.
+ * @returns {string}						The iframe html.
+ */
+function _iframe(src, options) {
+	const width = options.maxwidth || 640;
+	const height = options.maxheight || Math.round(width * 9 / 16);
+	return `<iframe src="${ShortcodeParser.escapeUrl(src)}" width="${ShortcodeParser.escapeAttribute(width)}" height="${ShortcodeParser.escapeAttribute(height)}" frameborder="0" allowfullscreen></iframe>`;
+}
+
+/**
+ * Get a url, using the http or https module as needed.  Redirects are
+ * followed.  Resolves to the response body.
+ *
+ * @private
+ * @param {string} href							The url to get.
+ * @param {integer} timeout						Timeout in milliseconds (0
+ *												for none).
+ * @param {integer} [redirects=maxRedirects]	Number of redirects still
+ *												allowed.
+ * @returns {Promise.<string>}					Promise resolving to the
+ *												response body.
+ */
+function _httpGet(href, timeout, redirects=maxRedirects) {
+	return new Promise((resolve, reject)=>{
+		const request = require(href.startsWith('https:') ? 'https' : 'http').get(href, res=>{
+			if ((res.statusCode >= 300) && (res.statusCode < 400) && res.headers.location) {
+				res.resume();
+				if (!redirects) return reject(new Error(`Request to '${href}' was redirected too many times`));
+				return resolve(_httpGet(require('url').resolve(href, res.headers.location), timeout, redirects - 1));
+			}
+
+			let body = '';
+			res.setEncoding('utf8');
+			res.on('data', chunk=>(body += chunk));
+			res.on('end', ()=>{
+				if (res.statusCode >= 400) return reject(new Error(`Request to '${href}' failed with status ${res.statusCode}`));
+				resolve(body);
+			});
+		}).on('error', reject);
+
+		if (timeout) request.setTimeout(timeout, ()=>{
+			reject(new Error(`Request to '${href}' timed out after ${timeout}ms`));
+			request.destroy();
+		});
+	});
+}
+
+/**
+ * Create a new embed provider registry.
+ *
+ * @public
+ * @param {Object.<ShortcodeEmbedProvider>} [providers]	Providers to start with,
+ *														defaults to the
+ *														providers for YouTube,
+ *														Vimeo, Twitter/X and
+ *														Gist.
+ * @returns {ShortcodeEmbedRegistry}					New registry.
+ */
+function ShortcodeEmbedRegistry(providers=defaultProviders) {
+	const registry = new Map();
+
+	const exports = {
+		/**
+		 * Add a provider to the registry.
+		 *
+		 * @public
+		 * @memberof ShortcodeEmbedRegistry
+		 * @param {string} name							Name of the provider.
+		 * @param {ShortcodeEmbedProvider} provider		The provider.
+		 * @returns {ShortcodeEmbedProvider}			The provider.
+		 */
+		add: (name, provider)=>{
+			const match = _.castArray(provider.match);
+			if (!match.length || !match.every(_.isRegExp)) throw new TypeError(`Provider '${name}' must have a match regular expression`);
+			if (!_.isFunction(provider.render) && !_.isString(provider.endpoint)) throw new TypeError(`Provider '${name}' must have a render function or an endpoint`);
+			registry.set(name, Object.assign({}, provider, {match}));
+			return exports.get(name);
+		},
+
+		/**
+		 * Test if a provider exists.
+		 *
+		 * @public
+		 * @memberof ShortcodeEmbedRegistry
+		 * @param {string} name			Name of the provider.
+		 * @returns {boolean}			Does it exist?
+		 */
+		has: name=>registry.has(name),
+
+		/**
+		 * Get a provider.
+		 *
+		 * @public
+		 * @memberof ShortcodeEmbedRegistry
+		 * @param {string} name						Name of the provider.
+		 * @returns {ShortcodeEmbedProvider}		The provider.
+		 */
+		get: name=>{
+			if (!exports.has(name)) throw new RangeError(`Provider '${name}' does not exist`);
+			return registry.get(name);
+		},
+
+		/**
+		 * Delete a provider.
+		 *
+		 * @public
+		 * @memberof ShortcodeEmbedRegistry
+		 * @param {string} name			Name of the provider.
+		 * @returns {boolean}
+		 */
+		delete: name=>{
+			if (!exports.has(name)) throw new RangeError(`Provider '${name}' does not exist`);
+			return registry.delete(name);
+		},
+
+		/**
+		 * Find the provider for a url.
+		 *
+		 * @public
+		 * @memberof ShortcodeEmbedRegistry
+		 * @param {string} url				The url to find a provider for.
+		 * @returns {Object|undefined}		Object with the provider name
+		 *									(name), provider and the result of
+		 *									its match (match), or undefined
+		 *									if none found.
+		 */
+		find: url=>{
+			let found;
+			registry.forEach((provider, name)=>{
+				if (found) return;
+				const match = _.find(provider.match.map(match=>match.exec(url)));
+				if (match) found = {name, provider, match};
+			});
+			return found;
+		}
+	};
+
+	_.forOwn(providers, (provider, name)=>exports.add(name, provider));
+
+	return Object.freeze(exports);
+}
+
+/**
+ * Add embed handlers to a shortcode parser.  An embed tag (eg.
+ * [[embed https://youtu.be/xxx]] or [[embed]]https://youtu.be/xxx[[/embed]])
+ * is replaced with the embed html for its url.  Bare urls (eg.
+ * [[https://youtu.be/xxx]]) can also be embedded.
+ *
+ * @public
+ * @param {ShortcodeParser} parser							Parser to add the
+ *															handlers to.
+ * @param {Object} [options={}]								Embed options.
+ * @param {string} [options.tagName='embed']				Tag name of the
+ *															embed tag.
+ * @param {boolean} [options.bareUrls=false]				Embed bare urls with
+ *															a known provider?
+ * @param {ShortcodeEmbedRegistry} [options.providers]		Provider registry,
+ *															defaults to a new
+ *															registry.
+ * @param {Function} [options.http]							Function to get a
+ *															url, returning a
+ *															promise resolving
+ *															to the response
+ *															body.
+ * @param {integer} [options.timeout=10000]					Timeout in
+ *															milliseconds for
+ *															requests made
+ *															without the http
+ *															option (0 for
+ *															none).
+ * @param {Object} [options.handler]						Options for adding
+ *															the handlers (eg.
+ *															cache or timeout),
+ *															over the default
+ *															html output.
+ * @returns {ShortcodeEmbedRegistry}						The provider
+ *															registry.
+ */
+function ShortcodeEmbed(parser, options={}) {
+	const _options = Object.assign({}, defaultOptions, options);
+	const providers = _options.providers || ShortcodeEmbedRegistry();
+	const http = _options.http || (href=>_httpGet(href, _options.timeout));
+	const handlerOptions = Object.assign({}, defaultOptions.handler, options.handler);
+
+	/**
+	 * Get the embed html for a url.
+	 *
+	 * @private
+	 * @param {string} url						The url to embed.
+	 * @param {Object} embedOptions				Embed options (eg. maxwidth).
+	 * @returns {Promise.<string>}				Promise resolving to the html.
+	 */
+	function _embed(url, embedOptions) {
+		const found = providers.find(url);
+		if (!found) return Promise.reject(new RangeError(`No embed provider for url '${url}'`));
+		if (found.provider.render) return Promise.try(()=>found.provider.render(url, found.match, embedOptions));
+
+		const query = _.map(Object.assign({url, format: 'json'}, embedOptions), (value, name)=>`${name}=${encodeURIComponent(value)}`).join('&');
+		return Promise.resolve(http(`${found.provider.endpoint}?${query}`)).then(body=>{
+			const response = (_.isString(body) ? JSON.parse(body) : body);
+			if (!response || !_.isString(response.html)) throw new TypeError(`Provider '${found.name}' did not return any html for url '${url}'`);
+			return response.html;
+		});
+	}
+
+	/**
+	 * Get the embed options from tag attributes.
+	 *
+	 * @private
+	 * @param {Object} attributes		The tag attributes.
+	 * @returns {Object}				The embed options.
+	 */
+	function _getEmbedOptions(attributes) {
+		return _.pick(attributes, ['maxwidth', 'maxheight']);
+	}
+
+	parser.add(_options.tagName, tag=>{
+		const url = (tag.attributes.url || _.find(tag.tagContents.split(/\s+/).slice(1), part=>xUrl.test(part)) || tag.content).trim();
+		if (!xUrl.test(url)) return Promise.reject(new TypeError(`Tag '${tag.tagName}' needs a url to embed`));
+		return _embed(url, _getEmbedOptions(tag.attributes));
+	}, handlerOptions);
+
+	if (_options.bareUrls) parser.add(tagContents=>{
+		const url = tagContents.split(/\s/)[0];
+		return (xUrl.test(url) && !!providers.find(url));
+	}, tag=>_embed(tag.tagName, _getEmbedOptions(tag.attributes)), handlerOptions);
+
+	return providers;
+}
+
+ShortcodeEmbed.createRegistry = ShortcodeEmbedRegistry;
+
+module.exports = ShortcodeEmbed;
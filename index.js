@@ -2,9 +2,20 @@
 
 const Promise = require('bluebird');
 const _ = require('lodash');
-const defaultOptions = {start: '[[', end: ']]'};
+const Transform = require('stream').Transform;
+const StringDecoder = require('string_decoder').StringDecoder;
+const defaultOptions = {start: '[[', end: ']]', maxDepth: 10, onError: 'throw', concurrency: Infinity, timeout: 0, output: 'html', policy: {}, escapeChar: null, rawTag: null, jsonAttributes: false};
+const errorStrategies = ['throw', 'keep', 'remove'];
+const outputTypes = ['html', 'text'];
+const defaultHandlerOptions = {throwOnAlreadySet: true, renderContent: false, priority: 0, after: []};
+const defaultStreamOptions = {lookahead: 16384};
+const defaultMemoryStoreOptions = {max: 1000};
+const parsers = new WeakMap();
+const base64Digits = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
 
-const xGetAttributes = new RegExp('(\\S+)\\s*=\\s*([\\\'\\"])(.*?)\\2|(\\S+)\\s*=\\s*(\\S+)|([^\\\'^\\"^\\s]+)(?:\\s|$)|([\\\'\\"])(.*?)\\7', 'g');
+const xSpace = /\s/;
+const xNameEnd = /[\s=]/;
+const xJsonStart = /^[\[{]/;
 
 const xGetTagAttributesText = '{start}.*?\\s(.*?){end}';
 const xStartTagContents = '{start}(.*){end}';
@@ -14,6 +25,40 @@ const xGetTagName = '{start}(?:\/|)(.*?)(?:\\s|{end})';
 const xStart = /\{start\}/g;
 const xEnd = /\{end\}/g;
 
+const xWordpressTagMatch = /\[\/?[^<>&\/\[\]\x00-\x20=]+(?:[^\[\]\/]|\/(?!\]))*\/?\]/g;
+const xWordpressIsEndTag = /^\[\//;
+const xWordpressIsSelfClosingTag = /\/\]$/;
+const xWordpressGetTagName = /^\[\/?([^<>&\/\[\]\x00-\x20=]+)/;
+const xWordpressStartTagContents = /^\[([\s\S]*?)\/?\]$/;
+const xWordpressGetTagAttributesText = /^\[\/?[^<>&\/\[\]\x00-\x20=]+([\s\S]*?)\/?\]$/;
+const xWordpressGetAttributes = /([\w-]+)\s*=\s*"([^"]*)"(?:\s|$)|([\w-]+)\s*=\s*'([^']*)'(?:\s|$)|([\w-]+)\s*=\s*([^\s'"]+)(?:\s|$)|"([^"]*)"(?:\s|$)|'([^']*)'(?:\s|$)|(\S+)(?:\s|$)/g;
+const xWordpressSpaces = /[\u00a0\u200b]+/g;
+const xWordpressClosedHtml = /^[^<]*(?:<[^>]*>[^<]*)*$/;
+const xCSlashes = /\\(x[0-9a-fA-F]{1,2}|[0-7]{1,3}|[\s\S])/g;
+const xWordClosing = /^\w+$/;
+const xHtmlOpenTag = /^<[a-zA-Z]/;
+const xHtmlSpace = /\s/;
+const xHtmlEscapes = /[&<>"']/g;
+const xAttributeEscapes = /[&<>"'`]/g;
+const xUnquotedAttributeEscapes = /[\s\x00=]/g;
+const xUrlScheme = /^\s*([a-zA-Z][a-zA-Z0-9+.\-]*):/;
+const xUrlUnsafe = /[^\w\-.~:\/?#\[\]@!$&'()*+,;=%]/g;
+const htmlEscapes = {'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;', '`': '&#96;'};
+const urlAttributes = ['action', 'background', 'cite', 'codebase', 'data', 'formaction', 'href', 'longdesc', 'manifest', 'poster', 'src', 'xlink:href'];
+const safeUrlSchemes = ['http', 'https', 'mailto', 'tel', 'ftp'];
+const cSlashes = {a: '\x07', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v'};
+
+/**
+ * Option presets for the parser modes, merged over the default options.
+ *
+ * @private
+ * @type {Object}
+ */
+const modes = {
+	default: {},
+	wordpress: {start: '[', end: ']'}
+};
+
 /**
  * @typedef ShortcodeParserFinder
  * Regular expressions object to use in extracting tag and tag-attribute data.
@@ -23,10 +68,78 @@ const xEnd = /\{end\}/g;
  *											end tag
  * @property {RegExp} getTagName			Expression to extract the tag name.
  * @property {Function} getAttributes		Method to extract the attributes in
- *											a given start tag string.
+ *											a given start tag string,
+ *											returning a
+ *											ShortcodeParserAttributes.
  * @property {RegExp} getStartTagContent	Expression for extracting the
  * 											contents of start tag.
+ * @property {RegExp} [isSelfClosingTag]	Expression to test if a tag is
+ *											explicitly self-closing (eg.
+ *											[tag /]).
+ * @property {boolean} [closeOutermost=false]	Should an end tag close the
+ *												outermost open tag of the
+ *												same name, rather than the
+ *												nearest.
+ * @property {boolean} [escapes=false]		Can tags be escaped by doubling
+ *											their delimiters (eg. [[tag]]).
+ * @property {string} name					Name of the syntax found.
+ * @property {string} start					Start of tag characters.
+ * @property {string} end					End of tag characters.
+ * @property {string} separator				Attribute separator, used when
+ *											converting tags to text.
+ * @property {string|null} closing			End tag prefix (eg. '/'), or null
+ *											if the syntax has no end tags.
+ * @property {boolean} padding				Should there be a space inside
+ *											the delimiters when converting
+ *											tags to text.
+ * @property {string|null} [escapeChar]	Characters placed before a tag to
+ *											escape it (eg. '\\'), doubled to
+ *											output them before a tag.
+ * @property {string|null} [rawTag]		Name of the tag, which marks a
+ *											block of text as raw.
+ */
+
+/**
+ * @typedef ShortcodeParserSyntax
+ * Definition of a tag syntax.
+ *
+ * @property {string} name					Name of the syntax.
+ * @property {string} start					Start of tag characters.
+ * @property {string} end					End of tag characters.
+ * @property {string} [separator]			Attribute separator (eg. '|'),
+ *											defaults to whitespace with
+ *											name=value attributes.
+ * @property {string|null} [closing=null]	Prefix of the tag name in end tags
+ *											(eg. '/' for [[/tag]] or 'end'
+ *											for {% endtag %}), or null if
+ *											the syntax has no end tags (all
+ *											tags are self-closing).
+ * @property {string} [selfClosing]			Characters marking a tag as
+ *											self-closing before the end
+ *											characters (eg. '/').
+ * @property {string} [trim]				Characters, which can be placed
+ *											inside the start and end
+ *											characters (eg. '-' for {%- -%}).
+ * @property {string} [tagName]				Regular expression source for the
+ *											start of a tag name, tags not
+ *											matching are ignored.
+ * @property {boolean} [padding=false]		Should there be a space inside
+ *											the delimiters when converting
+ *											tags to text.
+ */
+
+/**
+ * Built-in syntax definitions, which can be used in the syntax option.  The
+ * default and wordpress syntaxes are also available.
+ *
+ * @private
+ * @type {Object.<ShortcodeParserSyntax>}
  */
+const syntaxes = {
+	mediawiki: {name: 'mediawiki', start: '{{', end: '}}', separator: '|', tagName: '[^\\s|{}<>%#]'},
+	liquid: {name: 'liquid', start: '{%', end: '%}', closing: 'end', trim: '-', padding: true},
+	hugo: {name: 'hugo', start: '{{<', end: '>}}', closing: '/', selfClosing: '/', padding: true}
+};
 
 
 /**
@@ -43,38 +156,177 @@ function _addSlashToEachCharacter(txt) {
 }
 
 /**
- * Get the attributes in the given tag text. Will return an object of the tag
- * attributes with properties being equal to their names and property values
- * equalling their value. Also, assign numbered properties for attribute
- * positions.
+ * @typedef ShortcodeParserAttributes
+ * The attributes of a tag.
+ *
+ * @property {Object} attributes		Attributes by name (the last value of
+ *										names given more than once), also by
+ *										position (see ShortcodeParserTag).
+ * @property {Array} positional			Values of the attributes without a
+ *										name, in order.
+ * @property {Object} named				Values of the named attributes.  Names
+ *										given more than once have an array of
+ *										their values.
+ * @property {string[]} repeated		Names given more than once.
+ */
+
+/**
+ * Parse a value as JSON if it is a JSON array or object, otherwise return it
+ * as it is.
+ *
+ * @private
+ * @param {string} value		The value to parse.
+ * @returns {*}					The parsed value.
+ */
+function _parseJsonValue(value) {
+	if (!xJsonStart.test(value)) return value;
+	try {
+		return JSON.parse(value);
+	} catch (error) {
+		return value;
+	}
+}
+
+/**
+ * Split attribute text into a list of attributes.  Values can be quoted with
+ * " or ', inside which \ escapes the quote or another \.  Names are ended by
+ * =, so unquoted values can contain =.  Unquoted values starting with [ or {
+ * can also be JSON, which may contain whitespace.
  *
  * @private
- * @param {RegExp} getAttributes        The regular expression to use in getting
- *										the attributes.
- * @param {string} tag					The tag text from open tag start
- *										and close.
- * @returns {Object}					The attributes object.
+ * @param {string} txt				The attribute text.
+ * @param {boolean} [json=false]	Parse JSON array and object values?
+ * @returns {Object[]}				The attributes, each with a name (null
+ *									for positional attributes) and value.
  */
-function _getAttribute(getAttributes, tag) {
-	let results = getAttributes.exec(tag);
+function _lexAttributes(txt, json=false) {
+	const list = [];
+	let n = 0;
 
-	let attributes = {};
-	if (results) {
-		let result;
-		let count = 1;
-		while (result = xGetAttributes.exec(results[1])) {
-			if (!result[6] && (result[1] || result[4])) {
-				attributes[count] = {};
-				attributes[result[1] || result[4]] = result[3] || result[5];
-				attributes[count][result[1] || result[4]] = result[3] || result[5];
-			} else if (result[6] || result[8]) {
-				attributes[count] = result[6] || result[8];
+	const skipSpace = ()=>{
+		while ((n < txt.length) && xSpace.test(txt.charAt(n))) n++;
+	};
+	const isQuote = chr=>((chr === '"') || (chr === '\''));
+	const readWord = end=>{
+		let start = n;
+		while ((n < txt.length) && !end.test(txt.charAt(n))) n++;
+		return txt.substring(start, n);
+	};
+	const readQuoted = ()=>{
+		const quote = txt.charAt(n++);
+		let value = '';
+		while ((n < txt.length) && (txt.charAt(n) !== quote)) {
+			if ((txt.charAt(n) === '\\') && ((txt.charAt(n + 1) === quote) || (txt.charAt(n + 1) === '\\'))) n++;
+			value += txt.charAt(n++);
+		}
+		n++;
+		return value;
+	};
+	const readJson = ()=>{
+		const start = n;
+		let depth = 0;
+		while (n < txt.length) {
+			let chr = txt.charAt(n);
+			if (isQuote(chr)) {
+				readQuoted();
+				continue;
 			}
-			count++;
+			n++;
+			if ((chr === '[') || (chr === '{')) depth++;
+			if (((chr === ']') || (chr === '}')) && !--depth) break;
+		}
+		const value = _parseJsonValue(txt.substring(start, n));
+		if (_.isObject(value)) return value;
+		n = start;
+		return readWord(xSpace);
+	};
+	const readValue = ()=>{
+		if (isQuote(txt.charAt(n))) return readQuoted();
+		if (json && xJsonStart.test(txt.charAt(n))) return readJson();
+		return readWord(xSpace);
+	};
+
+	for (skipSpace(); n < txt.length; skipSpace()) {
+		if (isQuote(txt.charAt(n)) || (json && xJsonStart.test(txt.charAt(n)))) {
+			list.push({name: null, value: readValue()});
+			continue;
+		}
+
+		let start = n;
+		let name = readWord(xNameEnd);
+		skipSpace();
+		if (name && (txt.charAt(n) === '=')) {
+			n++;
+			skipSpace();
+			list.push({name, value: readValue()});
+		} else {
+			n = start;
+			list.push({name: null, value: readWord(xSpace)});
 		}
 	}
 
-	return attributes;
+	return list;
+}
+
+/**
+ * Create the attributes of a tag from a list of attributes.  Attributes are
+ * numbered by position from 1, with named attributes numbered as an object
+ * of their name and value.  Names given more than once have their last
+ * value, with an array of their values in named.  In wordpress mode, only
+ * positional attributes are numbered (from 0) and names given more than once
+ * only have their last value, as Wordpress does.
+ *
+ * @private
+ * @param {Object[]} list				The attributes, each with a name (null
+ *										for positional attributes) and value.
+ * @param {boolean} [wordpress=false]	Use wordpress mode?
+ * @returns {ShortcodeParserAttributes}	The attributes.
+ */
+function _createAttributes(list, wordpress=false) {
+	const attributes = {};
+	const positional = [];
+	const named = {};
+	const repeated = new Set();
+
+	list.forEach((attribute, n)=>{
+		let name = attribute.name;
+		if (name === null) {
+			attributes[wordpress ? positional.length : n + 1] = attribute.value;
+			return positional.push(attribute.value);
+		}
+
+		if (!named.hasOwnProperty(name)) {
+			named[name] = attribute.value;
+		} else if (wordpress) {
+			named[name] = attribute.value;
+			repeated.add(name);
+		} else if (repeated.has(name)) {
+			named[name].push(attribute.value);
+		} else {
+			named[name] = [named[name], attribute.value];
+			repeated.add(name);
+		}
+		attributes[name] = attribute.value;
+		if (!wordpress) attributes[n + 1] = {[name]: attribute.value};
+	});
+
+	return {attributes, positional, named, repeated: Array.from(repeated)};
+}
+
+/**
+ * Get the attributes in the given tag text.
+ *
+ * @private
+ * @param {RegExp} getAttributes        The regular expression to use in getting
+ *										the attributes text.
+ * @param {boolean} json				Parse JSON array and object values?
+ * @param {string} tag					The tag text from open tag start
+ *										and close.
+ * @returns {ShortcodeParserAttributes}	The attributes.
+ */
+function _getAttribute(getAttributes, json, tag) {
+	const results = getAttributes.exec(tag);
+	return _createAttributes(results ? _lexAttributes(results[1], json) : []);
 }
 
 /**
@@ -108,61 +360,354 @@ function _createRegExp(template, startChars, endChars, options = '') {
  * @param {object} options				The options object.
  * @param {string} options.start		Start of tag characters.
  * @param {string} options.end			End of tag characters.
+ * @param {boolean} [options.jsonAttributes=false]	Parse JSON attribute
+ *													values?
  * @returns {ShortcodeParserFinder}
  *
  */
 function _createRegExpsObj(options) {
 	return {
+		name: 'default',
+		start: options.start,
+		end: options.end,
+		separator: ' ',
+		closing: '/',
+		padding: false,
 		tagMatch: _createRegExp(xTagMatch, options.start, options.end, 'g'),
 		isEndTag: _createRegExp(xIsEndTag, options.start, options.end),
 		getTagName: _createRegExp(xGetTagName, options.start, options.end),
-		getAttributes: _getAttribute.bind({}, _createRegExp(xGetTagAttributesText, options.start, options.end)),
+		getAttributes: _getAttribute.bind({}, _createRegExp(xGetTagAttributesText, options.start, options.end), !!options.jsonAttributes),
 		getStartTagContent: _createRegExp(xStartTagContents, options.start, options.end)
 	};
 }
 
 /**
- * Given an array of tags, remove end tags combining them with their start tag
- * and placing tag content in the tag object.
+ * Remove C-style backslashes from a string, like PHP's stripcslashes().
  *
  * @private
- * @param {string} txt					The text containing all the given tags.
- * @param {Array} tags					Array of tag objects.
- * @returns {ShortcodeParserTag[]}		New array with end tags removed and tag
- *										data updated with any tag content.
+ * @param {string} txt		The string to strip.
+ * @returns {string}		New string.
  */
-function _fixEndTags(txt, tags) {
-	return tags.map((result, n)=> {
-		if (result.endTag) {
-			for (let nn = n; nn >= 0; nn--) {
-				if ((tags[nn].tagName === result.tagName) && (!tags[nn].endTag)) {
-					tags[nn].content = txt.substring(tags[nn].end, result.start);
-					tags[nn].fullMatch += (tags[nn].content + result.fullMatch);
-					tags[nn].end = result.end;
-					tags[nn].selfClosing = false;
-				}
-			}
-		}
-		return result;
-	}).filter(result=>!result.endTag);
+function _stripCSlashes(txt) {
+	return txt.replace(xCSlashes, (match, escape)=>{
+		if (cSlashes.hasOwnProperty(escape)) return cSlashes[escape];
+		if (escape.charAt(0) === 'x' && escape.length > 1) return String.fromCharCode(parseInt(escape.substr(1), 16));
+		if (/^[0-7]+$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+		return escape;
+	});
+}
+
+/**
+ * Get the attributes in the given tag text the way Wordpress does in
+ * shortcode_parse_atts().  Attribute names are lower-cased and positional
+ * attributes are numbered from 0.  Values containing unclosed HTML elements
+ * are emptied.
+ *
+ * @private
+ * @param {string} tag					The tag text from open tag start and
+ *										close.
+ * @returns {ShortcodeParserAttributes}	The attributes.
+ */
+function _getWordpressAttributes(tag) {
+	const list = [];
+	const text = (xWordpressGetTagAttributesText.exec(tag) || ['', ''])[1].replace(xWordpressSpaces, ' ');
+	let result;
+
+	xWordpressGetAttributes.lastIndex = 0;
+	while (result = xWordpressGetAttributes.exec(text)) {
+		let name = _.find([result[1], result[3], result[5]], _.isString);
+		let value = _stripCSlashes(_.find((name ? [result[2], result[4], result[6]] : [result[7], result[8], result[9]]), _.isString));
+		if ((value.indexOf('<') !== -1) && !xWordpressClosedHtml.test(value)) value = '';
+		list.push({name: (name ? name.toLowerCase() : null), value});
+	}
+
+	return _createAttributes(list, true);
+}
+
+/**
+ * Get an object containing the regular expressions to use in extracting tag
+ * and tag-attribute data for Wordpress shortcodes.  These follow the rules of
+ * Wordpress's get_shortcode_regex(), so tags can be self-closing ([tag /]),
+ * escaped ([[tag]]) and end tags close the first start tag of that name.
+ *
+ * @private
+ * @returns {ShortcodeParserFinder}
+ */
+function _createWordpressRegExpsObj() {
+	return {
+		name: 'wordpress',
+		start: '[',
+		end: ']',
+		separator: ' ',
+		closing: '/',
+		padding: false,
+		tagMatch: new RegExp(xWordpressTagMatch.source, 'g'),
+		isEndTag: xWordpressIsEndTag,
+		getTagName: xWordpressGetTagName,
+		getAttributes: _getWordpressAttributes,
+		getStartTagContent: xWordpressStartTagContents,
+		isSelfClosingTag: xWordpressIsSelfClosingTag,
+		closeOutermost: true,
+		escapes: true
+	};
+}
+
+/**
+ * Get the attributes in the given tag text, where attributes are split by a
+ * separator (eg. {{tag|one|two=2}}).  Attributes containing = are named.
+ *
+ * @private
+ * @param {RegExp} getAttributes		The regular expression to use in getting
+ *										the attributes text.
+ * @param {string} separator			The attribute separator.
+ * @param {boolean} json				Parse JSON array and object values?
+ * @param {string} tag					The tag text.
+ * @returns {ShortcodeParserAttributes}	The attributes.
+ */
+function _getSeparatedAttributes(getAttributes, separator, json, tag) {
+	const results = getAttributes.exec(tag);
+
+	return _createAttributes(!results ? [] : results[1].split(separator).map(attribute=>{
+		let equals = attribute.indexOf('=');
+		let value = attribute.substring(equals + 1).trim();
+		return {
+			name: ((equals === -1) ? null : attribute.substring(0, equals).trim()),
+			value: (json ? _parseJsonValue(value) : value)
+		};
+	}));
+}
+
+/**
+ * Get an object containing the regular expressions to use in extracting tags
+ * of the given syntax definition.
+ *
+ * @private
+ * @param {ShortcodeParserSyntax} syntax		The syntax definition.
+ * @param {Object} options						The parser options.
+ * @returns {ShortcodeParserFinder}
+ */
+function _createSyntaxRegExpsObj(syntax, options) {
+	if (!_.isString(syntax.name) || !_.isString(syntax.start) || !_.isString(syntax.end) || !syntax.start || !syntax.end) throw new TypeError('Syntax definitions must have a name, start and end');
+
+	const start = _.escapeRegExp(syntax.start);
+	const end = _.escapeRegExp(syntax.end);
+	const trim = (syntax.trim ? `(?:${_.escapeRegExp(syntax.trim)})?` : '');
+	const open = `^${start}${trim}\\s*`;
+	const close = `\\s*${syntax.selfClosing ? `(?:${_.escapeRegExp(syntax.selfClosing)})?\\s*` : ''}${trim}${end}$`;
+	const closing = (syntax.closing ? `(?:${_.escapeRegExp(syntax.closing)})?` : '');
+	const separator = (syntax.separator ? _.escapeRegExp(syntax.separator) : '\\s');
+	const tagName = (syntax.separator ? `[^${separator}]+?` : '\\S+?');
+
+	return {
+		name: syntax.name,
+		start: syntax.start,
+		end: syntax.end,
+		separator: syntax.separator || ' ',
+		closing: syntax.closing || null,
+		padding: !!syntax.padding,
+		tagMatch: new RegExp(`${start}${trim}\\s*${closing}${syntax.tagName ? `(?=${syntax.tagName})` : ''}(?:(?!${start})[\\s\\S])*?${end}`, 'g'),
+		isEndTag: (syntax.closing ? new RegExp(`${open}${_.escapeRegExp(syntax.closing)}`) : /(?!)/),
+		getTagName: new RegExp(`${open}${closing}(${tagName})(?=\\s*${separator}|${close})`),
+		getAttributes: (syntax.separator ?
+			_getSeparatedAttributes.bind({}, new RegExp(`${open}${closing}${tagName}\\s*${separator}([\\s\\S]*?)${close}`), syntax.separator, !!options.jsonAttributes) :
+			_getAttribute.bind({}, new RegExp(`${open}${closing}${tagName}\\s+([\\s\\S]*?)${close}`), !!options.jsonAttributes)
+		),
+		getStartTagContent: new RegExp(`${open}([\\s\\S]*?)${close}`),
+		isSelfClosingTag: (syntax.closing ?
+			(syntax.selfClosing ? new RegExp(`${_.escapeRegExp(syntax.selfClosing)}\\s*${trim}${end}$`) : undefined) :
+			/[\s\S]/
+		)
+	};
+}
+
+/**
+ * Create the finders for the syntaxes a parser should find.
+ *
+ * @private
+ * @param {string|ShortcodeParserSyntax|Array} syntax	The syntaxes, each a
+ *														built-in syntax name
+ *														or a definition.
+ * @param {Object} options								The parser options.
+ * @returns {ShortcodeParserFinder[]}					The finders.
+ */
+function _createFinders(syntax, options) {
+	const finders = _.castArray(syntax).map(syntax=>{
+		if (syntax === 'default') return _createRegExpsObj(options);
+		if (syntax === 'wordpress') return _createWordpressRegExpsObj();
+		if (_.isString(syntax) && !syntaxes.hasOwnProperty(syntax)) throw new RangeError(`Unknown syntax '${syntax}'`);
+		return _createSyntaxRegExpsObj((_.isString(syntax) ? syntaxes[syntax] : syntax), options);
+	}).map(finder=>Object.assign(finder, {escapeChar: options.escapeChar, rawTag: options.rawTag}));
+
+	if (!finders.length) throw new TypeError('At least one syntax is needed');
+	if (_.uniqBy(finders, 'name').length !== finders.length) throw new TypeError('Syntax names must be unique');
+	return finders;
+}
+
+/**
+ * Get the finder, which found a tag.
+ *
+ * @private
+ * @param {ShortcodeParserFinder[]} finders		The finders.
+ * @param {ShortcodeParserTag} tag				The tag.
+ * @returns {ShortcodeParserFinder}				The finder.
+ */
+function _getFinder(finders, tag) {
+	return _.find(finders, {name: tag.syntax}) || finders[0];
+}
+
+/**
+ * Close an open tag with the given end tag, placing tag content in the tag
+ * object.
+ *
+ * @private
+ * @param {string} txt					The text containing the tags.
+ * @param {ShortcodeParserTag} tag		The start tag to close.
+ * @param {ShortcodeParserTag} endTag	The end tag closing it.
+ */
+function _closeTag(txt, tag, endTag) {
+	tag.content = txt.substring(tag.end, endTag.start);
+	tag.fullMatch += (tag.content + endTag.fullMatch);
+	tag.end = endTag.end;
+	tag.selfClosing = false;
+}
+
+/**
+ * Treat an open tag, which was never closed, as self-closing.  Any tags
+ * collected as its children are moved up to become its siblings.
+ *
+ * @private
+ * @param {ShortcodeParserTag[]} root	The top-level tags.
+ * @param {ShortcodeParserTag} tag		The unclosed tag.
+ */
+function _unnestTag(root, tag) {
+	const siblings = (tag.parent ? tag.parent.children : root);
+	tag.children.forEach(child=>{
+		child.parent = tag.parent;
+		siblings.push(child);
+	});
+	tag.children = [];
+}
+
+/**
+ * Test if tag is escaped by having its delimiters doubled (eg. [[tag]]).
+ *
+ * @private
+ * @param {string} txt					The text containing the tag.
+ * @param {ShortcodeParserTag} tag		The tag to test.
+ * @param {ShortcodeParserTag} [endTag]	The end tag closing it.
+ * @returns {boolean}
+ */
+function _isEscaped(txt, tag, endTag=tag) {
+	return ((txt.charAt(tag.start - 1) === tag.fullMatch.charAt(0)) && (txt.charAt(endTag.end) === _.last(endTag.fullMatch)));
 }
 
 /**
+ * Mark a tag as escaped, extending it to cover the escape characters.
+ *
  * @private
- * Fix overlapping tags, removing tags inside tags
+ * @param {string} txt					The text containing the tag.
+ * @param {ShortcodeParserTag} tag		The tag to escape.
+ */
+function _escapeTag(txt, tag) {
+	tag.start--;
+	tag.end++;
+	tag.fullMatch = txt.substring(tag.start, tag.end);
+	tag.escaped = true;
+}
+
+/**
+ * @typedef ShortcodeParserTreeProblem
+ * A problem found building a tag tree.
+ *
+ * @property {string} code					'unmatched-end-tag' (an end tag
+ *											without a start tag),
+ *											'crossed-tags' (an end tag for a
+ *											start tag inside another tag,
+ *											which has already ended) or
+ *											'unclosed-tag' (a start tag
+ *											without an end tag, where another
+ *											tag of the same name has one).
+ * @property {ShortcodeParserTag} tag		The end tag or unclosed start tag.
+ * @property {ShortcodeParserTag} [other]	The tag which ended first, for
+ *											crossed tags.
+ */
+
+/**
+ * Given an array of tags, build a tree of tags.  End tags are removed and
+ * combined with their start tag.  Tags between a start and end tag become
+ * children of that tag.  Start tags without an end tag are treated as
+ * self-closing and stray end tags are ignored.
  *
- * @param {ShortcodeParserTag[]} tags	Tags to filter.
- * @returns {ShortcodeParserTag[]}		Filtered tags.
+ * @private
+ * @param {string} txt						The text containing all the given
+ *											tags.
+ * @param {Array} tags						Array of tag objects.
+ * @param {ShortcodeParserFinder[]} finders	Finder objects used to find the
+ *											tags.
+ * @param {ShortcodeParserTreeProblem[]} [problems=[]]	Array to add the
+ *											ignored end tags and unclosed
+ *											start tags to.
+ * @returns {ShortcodeParserTag[]}			The top-level tags, with nested
+ *											tags in their children property.
  */
-function _filterOverlappingTags(tags) {
-	return tags.filter((tag, n)=> {
-		if (n > 0) {
-			for (let nn = (n - 1); nn >= 0; nn--) {
-				if (tags[nn].end > tag.start) return false;
+function _buildTree(txt, tags, finders, problems=[]) {
+	const root = [];
+	const open = [];
+	const escaped = new Set();
+	const crossed = [];
+	const ended = new Set();
+	const unclosed = [];
+	const isPair = (start, end)=>((start.tagName === end.tagName) && (start.syntax === end.syntax));
+	const getKey = tag=>`${tag.syntax}\u0000${tag.tagName}`;
+	const lastEndTags = new Map();
+
+	// Start tags with no end tag of their name after them can never be
+	// closed, so are not kept open (which would nest all the tags after).
+	tags.forEach((tag, n)=>{
+		if (tag.endTag) lastEndTags.set(getKey(tag), n);
+	});
+
+	tags.forEach((tag, index)=>{
+		let finder = _getFinder(finders, tag);
+		if (tag.endTag) {
+			let n = (finder.closeOutermost ? _.findIndex : _.findLastIndex)(open, _tag=>isPair(_tag, tag));
+			if (n === -1) {
+				let cross = _.findLast(crossed, cross=>(!cross.ended && isPair(cross.tag, tag)));
+				if (cross) {
+					cross.ended = true;
+					ended.add(cross.tag);
+				}
+				problems.push(cross ? {code: 'crossed-tags', tag, other: cross.other} : {code: 'unmatched-end-tag', tag});
+				return;
+			}
+			let _tag = open[n];
+			open.splice(n + 1).reverse().forEach(tag=>{
+				crossed.push({tag, other: _tag});
+				_unnestTag(root, tag);
+			});
+			open.pop();
+			if (finder.escapes && _isEscaped(txt, _tag, tag)) escaped.add(_tag);
+			_closeTag(txt, _tag, tag);
+		} else {
+			tag.parent = _.last(open) || null;
+			(tag.parent ? tag.parent.children : root).push(tag);
+			if (!tag.escaped && (!finder.isSelfClosingTag || !finder.isSelfClosingTag.test(tag.fullMatch))) {
+				if (lastEndTags.get(getKey(tag)) > index) open.push(tag);
+				unclosed.push(tag);
 			}
 		}
-		return true;
 	});
+	open.reverse().forEach(tag=>_unnestTag(root, tag));
+
+	tags.forEach(tag=>{
+		if (_getFinder(finders, tag).escapes && !tag.endTag && !tag.escaped && (tag.selfClosing ? _isEscaped(txt, tag) : escaped.has(tag))) _escapeTag(txt, tag);
+	});
+
+	unclosed.forEach(tag=>{
+		if (tag.selfClosing && !tag.escaped && !ended.has(tag) && lastEndTags.has(getKey(tag))) problems.push({code: 'unclosed-tag', tag});
+	});
+
+	return root;
 }
 
 /**
@@ -174,11 +719,54 @@ function _filterOverlappingTags(tags) {
  * 										original text.
  * @property {integer} end				end character number in
  *										original text.
- * @property {object} attributes		The tag attributes as an object.
+ * @property {object} attributes		The tag attributes as an object,
+ *										by name and by position (from 1,
+ *										named attributes being an object of
+ *										their name and value).
+ * @property {Array} positional			Values of the attributes without a
+ *										name, in order.
+ * @property {object} named				Values of the named attributes.
+ *										Names given more than once have an
+ *										array of their values.
  * @property {string} content			The content of tag when their is
  *										an opening and closing tag.
+ * @property {integer} contentStart		Start character number of the
+ *										content in original text.
  * @property {boolean} selfClosing		Is this a self-closing tag?
  * @property {string} tagContents		Contents of starting tag.
+ * @property {ShortcodeParserTag[]} chain	The tags whose handler output
+ *										produced this tag (oldest first).
+ * @property {integer} depth			Number of re-parses it took to reach
+ *										this tag (0 for the original text).
+ * @property {ShortcodeParserTag[]} children	Tags nested inside this tag.
+ * @property {ShortcodeParserTag|null} parent	Tag this tag is nested in.
+ * @property {boolean} escaped			Is this tag escaped (eg. [[tag]] in
+ *										wordpress mode, \[[tag]] with an
+ *										escape character or a raw block)?
+ * @property {string} [verbatim]		Text to output in place of a tag
+ *										escaped with an escape character or
+ *										a raw block.
+ * @property {string} syntax			Name of the syntax of the tag (eg.
+ *										'default' or 'liquid').
+ * @property {Object} [loc]				Start and end line/column, each a
+ *										ShortcodeParserLocation (only set
+ *										by ShortcodeParser.tokenize()).
+ * @property {string|RegExp|Function} [selector]	Selector of the handler
+ *										running on the tag (set when
+ *										rendering).
+ * @property {Function} [next]			Run the next handler matching the
+ *										tag, returning its output (or a
+ *										promise of it in parse()).  Set when
+ *										rendering.
+ * @property {object} [rawAttributes]	The tag attributes as parsed, when
+ *										an attribute schema has replaced
+ *										them.
+ * @property {ShortcodeParserOutputContext} [outputContext]	Where the tag
+ *										sits in the HTML of the text (set
+ *										when rendering).
+ * @property {Object} [context]			Object shared by all the tags of a
+ *										parse, for handlers to keep state
+ *										in (set when rendering).
  */
 
 /**
@@ -191,36 +779,127 @@ function _filterOverlappingTags(tags) {
  * @returns {ShortcodeParserTag}			New tag object.
  */
 function ShortcodeParserTag(finder, result) {
-	return {
-		tagName: finder.getTagName.exec(result[0])[1],
+	const attributes = finder.getAttributes(result[0]);
+
+	return Object.assign({
+		tagName: (finder.getTagName.exec(result[0]) || ['', ''])[1],
 		endTag: finder.isEndTag.test(result[0]),
 		fullMatch: result[0],
 		end: result.lastIndex,
 		start: result.lastIndex - result[0].length,
-		attributes: finder.getAttributes(result[0]),
+		contentStart: result.lastIndex,
+		attributes: attributes.attributes,
+		positional: attributes.positional,
+		named: attributes.named,
 		content: '',
-		tagContents: finder.getStartTagContent.exec(result[0])[1],
-		selfClosing: true
-	};
+		tagContents: (finder.getStartTagContent.exec(result[0]) || ['', ''])[1],
+		selfClosing: true,
+		chain: [],
+		depth: 0,
+		children: [],
+		parent: null,
+		escaped: false,
+		syntax: finder.name
+	}, result.escape);
+}
+
+/**
+ * Create the properties of a tag escaped with an escape character, or of a
+ * raw block.
+ *
+ * @private
+ * @param {string} txt			The text containing the tag.
+ * @param {integer} start		Start of the tag (including any escape
+ *								character).
+ * @param {integer} end			End of the tag (or raw block).
+ * @param {string} verbatim		Text to output in place of the tag.
+ * @returns {Object}			Properties of the tag.
+ */
+function _createEscape(txt, start, end, verbatim) {
+	return {start, end, contentStart: end, fullMatch: txt.substring(start, end), endTag: false, escaped: true, verbatim};
+}
+
+/**
+ * Find tags escaped with an escape character and raw blocks amongst the
+ * results of a finder.  Escaped tags are output without the escape
+ * character, raw blocks are output without their start and end tags and
+ * the tags inside them are dropped.  Escaped tags do not open or close
+ * blocks and raw blocks without an end tag are left as ordinary tags.  Pairs
+ * of escape characters before a tag are output as one escape character (eg.
+ * \\[[b]] is a literal \ and the tag), as an escaped result of their own.
+ *
+ * @private
+ * @param {string} txt						The text the tags were found in.
+ * @param {ShortcodeParserFinder} finder	Finder object used.
+ * @param {Array} results					Results of the finder.
+ * @returns {Array}							Results with the tags inside raw
+ *											blocks removed.
+ */
+function _applyEscapes(txt, finder, results) {
+	const escapeChar = finder.escapeChar;
+	const isRawTag = (result, endTag)=>(!result.escape && (finder.isEndTag.test(result[0]) === endTag) && (finder.getTagName.exec(result[0])[1] === finder.rawTag));
+
+	if (escapeChar) results = _.flatMap(results, (result, n)=>{
+		const limit = (n ? results[n - 1].lastIndex : 0);
+		let start = result.index;
+		while (((start - escapeChar.length) >= limit) && (txt.substr(start - escapeChar.length, escapeChar.length) === escapeChar)) start -= escapeChar.length;
+
+		const count = (result.index - start) / escapeChar.length;
+		if (count % 2) result.escape = _createEscape(txt, result.index - escapeChar.length, result.lastIndex, result[0]);
+		if (count < 2) return [result];
+
+		const pairs = Object.assign([txt.substring(start, start + ((count - (count % 2)) * escapeChar.length))], {index: start, finder});
+		pairs.lastIndex = start + pairs[0].length;
+		pairs.escape = _createEscape(txt, start, pairs.lastIndex, escapeChar.repeat(Math.floor(count / 2)));
+		return [pairs, result];
+	});
+	if (!finder.rawTag) return results;
+
+	const _results = [];
+	for (let n = 0; n < results.length; n++) {
+		let result = results[n];
+		let end = (isRawTag(result, false) ? _.findIndex(results, _result=>isRawTag(_result, true), n + 1) : -1);
+		if (end !== -1) {
+			result.escape = _createEscape(txt, result.index, results[end].lastIndex, txt.substring(result.lastIndex, results[end].index));
+			result.lastIndex = results[end].lastIndex;
+			n = end;
+		}
+		_results.push(result);
+	}
+	return _results;
 }
 
 /**
  * Extract tag strings from given text, return regular expression matches
- * (with some addtional data, such as lastIndex).
+ * (with some addtional data, such as lastIndex and the finder used).  When
+ * tags found by different finders overlap, the first to start is used (or
+ * the one from the first finder, if they start together).
  *
  * @private
- * @param {string} txt						Text to extract tags from.
- * @param {ShortcodeParserFinder} finder	Finder object to apply.
- * @returns {Array}							Results array.
+ * @param {string} txt							Text to extract tags from.
+ * @param {ShortcodeParserFinder[]} finders		Finder objects to apply.
+ * @returns {Array}								Results array.
  */
-function _extractTagStrings(txt, finder) {
+function _extractTagStrings(txt, finders) {
 	let results = [];
-	let result;
-	while (result = finder.tagMatch.exec(txt)) {
-		result.lastIndex = finder.tagMatch.lastIndex;
-		results.push(result);
-	}
-	return results;
+	finders.forEach(finder=>{
+		let _results = [];
+		let result;
+		while (result = finder.tagMatch.exec(txt)) {
+			result.lastIndex = finder.tagMatch.lastIndex;
+			result.finder = finder;
+			_results.push(result);
+		}
+		results = results.concat(_applyEscapes(txt, finder, _results));
+	});
+	if (finders.length === 1) return results;
+
+	let position = 0;
+	return _.sortBy(results, 'index').filter(result=>{
+		if (result.index < position) return false;
+		position = result.lastIndex;
+		return true;
+	});
 }
 
 /**
@@ -228,112 +907,2282 @@ function _extractTagStrings(txt, finder) {
  * can be parsed.
  *
  * @private
- * @param {string} txt						Text to parse for tags.
- * @param {ShortcodeParserFinder} finder	Finder object to apply.
- * @param {ShortcodeParser} parserInstance	The parser instance.
- * @returns {ShortcodeParserTag[]}			Tags which can be handled.
+ * @param {string} txt							Text to parse for tags.
+ * @param {ShortcodeParserFinder[]} finders		Finder objects to apply.
+ * @param {ShortcodeParser} parserInstance		The parser instance.
+ * @returns {ShortcodeParserTag[]}				Tags which can be handled.
+ */
+function _parse(txt, finders, parserInstance) {
+	const open = new Map();
+
+	return _extractTagStrings(txt, finders).map(result=>{
+		const tag = ShortcodeParserTag(result.finder, result);
+		return ((!tag.escaped && xWordClosing.test(result.finder.closing || '')) ? _matchWordEndTag(tag, result.finder, open) : tag);
+	});
+}
+
+/**
+ * Check an end tag of a syntax, whose end tags are prefixed with a word (eg.
+ * {% endif %}), closes a tag which is open.  Otherwise it is a start tag whose
+ * name starts with the word (eg. {% endless %}).
+ *
+ * @private
+ * @param {ShortcodeParserTag} tag				The tag.
+ * @param {ShortcodeParserFinder} finder		Finder of the tag.
+ * @param {Map} open							Number of open tags by syntax
+ *												and name, updated for the tag.
+ * @returns {ShortcodeParserTag}				The tag.
  */
-function _parse(txt, finder, parserInstance) {
-	return _extractTagStrings(txt, finder).map(
-		result=>ShortcodeParserTag(finder, result)
-	);
+function _matchWordEndTag(tag, finder, open) {
+	const key = tagName=>`${finder.name}\u0000${tagName}`;
+
+	if (tag.endTag && open.get(key(tag.tagName))) {
+		open.set(key(tag.tagName), open.get(key(tag.tagName)) - 1);
+		return tag;
+	}
+	if (tag.endTag) Object.assign(tag, {
+		endTag: false,
+		tagName: (tag.tagContents.startsWith(finder.closing + tag.tagName) ? finder.closing + tag.tagName : tag.tagName)
+	});
+	open.set(key(tag.tagName), (open.get(key(tag.tagName)) || 0) + 1);
+	return tag;
 }
 
 /**
- *  @typedef ShortcodeParserReplacer
- *  @property {string} replacer				Text to replace tag with.
- *  @property {ShortcodeParserTag} tag		Tag to do replacement on.
+ * @typedef ShortcodeParserOrigin
+ * Record of a piece of text that was produced by a tag handler.
+ *
+ * @property {integer} start				Start character number of the
+ *											output in the current text.
+ * @property {integer} end					End character number of the output
+ *											in the current text.
+ * @property {ShortcodeParserTag[]} chain	The tag chain that produced the
+ *											output (oldest first).
+ * @property {boolean} [literal=false]		Should the output be left as it is
+ *											and not parsed again?
  */
 
 /**
- * Apply a handler function to a given tag with supplied parameters.
+ * Assign each tag the chain of tags that produced it, looking up which
+ * handler output (if any) the tag sits in. Tags not sitting in a single
+ * output (eg. formed by two outputs next to each other) are given the current
+ * re-parse depth.  Tags overlapping literal output (eg. from an escaped
+ * tag) are removed, as they should not be parsed.
  *
  * @private
- * @param {Function} handler						Handler to apply.
- * @param {ShortcodeParserTag} tag					Tag to apply handler to.
- * @param {Array} params							Further parameters to pass
- * 													to the handler.
- * @returns {Promise.<ShortcodeParserReplacer>}
+ * @param {ShortcodeParserTag[]} tags			Tags to assign chains to, in
+ *												order.
+ * @param {ShortcodeParserOrigin[]} origins		Handler outputs in the text.
+ * @param {integer} depth						Current re-parse depth.
+ * @returns {ShortcodeParserTag[]}				The tags to parse.
  */
-function _applyHandler(handler, tag, params) {
-	return Promise.resolve(handler.apply({}, params) || '').then(replacer=>{
-		return {replacer, tag};
+function _assignOrigins(tags, origins, depth) {
+	const sorted = _.sortBy(origins, 'start');
+	let active = [];
+	let n = 0;
+
+	return tags.filter(tag=>{
+		active = active.filter(origin=>(origin.end > tag.start));
+		for (; (n < sorted.length) && (sorted[n].start < tag.end); n++) {
+			if (sorted[n].end > tag.start) active.push(sorted[n]);
+		}
+
+		let origin = active.find(origin=>((tag.start >= origin.start) && (tag.end <= origin.end)));
+		tag.chain = (origin ? origin.chain : []);
+		tag.depth = (origin ? origin.chain.length : depth);
+		return !active.some(origin=>origin.literal);
 	});
 }
 
 /**
- * Test if given selector is selector for the given tag.
+ * Replace tags in the given text with their handler results, splicing each
+ * result in by the tag's recorded start and end position.  Replacements are
+ * done in a single pass and handler output is inserted exactly as given.
+ * Records of handler output already in the text are moved to match the new
+ * text (or dropped if replaced) and the new output is recorded against the
+ * tag that produced it.
  *
  * @private
- * @param {RegExp|Function} selector		Selector to test.
- * @param {ShortcodeParserTag} tag			Tag to test against.
- * @returns {boolean}
+ * @param {string} txt							The text to do the replacements
+ *												on.
+ * @param {ShortcodeParserReplacer[]} results	Replacements in the order
+ *												they appear in the text.
+ * @param {ShortcodeParserOrigin[]} [origins=[]]	Handler outputs in the
+ *													text.
+ * @param {integer} [offset=0]					Position of the given text
+ *												in the text the tags were
+ *												found in.
+ * @returns {Object}							Object with the new text (txt)
+ *												and handler outputs (origins).
  */
-function _isSelectorMatch(selector, tag) {
-	return ((_.isRegExp(selector) && selector.test(tag.tagContents)) || (_.isFunction(selector) && selector(tag.tagContents)));
+function _replaceTags(txt, results, origins=[], offset=0) {
+	const parts = [];
+	const _origins = [];
+	let position = 0;
+	let length = 0;
+	let n = 0;
+
+	const moveOrigins = to=>{
+		for (; (n < origins.length) && (origins[n].end <= to); n++) {
+			let shift = length - position;
+			if (origins[n].start >= position) _origins.push(Object.assign({}, origins[n], {start: origins[n].start + shift, end: origins[n].end + shift}));
+		}
+	};
+
+	origins = _.sortBy(origins, 'start');
+	results.forEach(result=>{
+		let start = result.tag.start - offset;
+		let replacer = String(result.replacer);
+
+		moveOrigins(start);
+		parts.push(txt.substring(position, start), replacer);
+		length += (start - position);
+		_origins.push({start: length, end: length + replacer.length, chain: result.tag.chain.concat(result.tag), literal: !!result.literal});
+		length += replacer.length;
+		position = result.tag.end - offset;
+	});
+	moveOrigins(txt.length);
+	parts.push(txt.substring(position));
+
+	return {txt: parts.join(''), origins: _.sortBy(_origins, 'start')};
 }
 
 /**
- * Create a new Shortcode parser instance.
+ * @typedef ShortcodeParserSegment
+ * Piece of the text being rendered, recording where it came from.  The
+ * segments of a text cover all of it, in order.
  *
- * @class
- * @public
- * @param {Object} options			Options to ShortcodeParser function.
- * @returns {ShortcodeParser}		New instance of shortcode parser.
+ * @property {integer} start					Start character number in the
+ *												current text.
+ * @property {integer} end						End character number in the
+ *												current text.
+ * @property {ShortcodeParserTag|null} tag		Tag whose handler output this
+ *												is, null for text from the
+ *												original text.
+ * @property {integer} source					Character number in the
+ *												original text this comes from
+ *												(the start of the top-level
+ *												tag, for handler output).
  */
-function ShortcodeParser(options = defaultOptions) {
-	const tags = new Map();
-	const finder = _createRegExpsObj(Object.assign({}, defaultOptions, options));
 
-	/**
-	 * Run set handlers for given tags, replacing text content as the handler
-	 * return content.
-	 *
-	 * @private
-	 * @param {string} txt						The full text containing the tags to
-	 *											do the replacements on.
-	 * @param {ShortcodeParserTag[]} _tags		The tags to run handlers on.
-	 * @param {Array} params					The parameters to pass on to the
-	 *											tag handlers.
-	 * @returns {Promise.<string>}				Promise resolving on completion of
-	 *											tag replacements.
-	 */
-	function _runHandlers(txt, _tags, params) {
-		return Promise.all(_tags.map(tag=>{
-			let promise;
-			if (exports.has(tag.tagName)) {
-				let handler = exports.get(tag.tagName).bind({}, tag);
-				promise = _applyHandler(handler, tag, params);
-			} else {
-				tags.forEach((handler, selector)=>{
-					let _handler = handler.bind({}, tag);
-					if (!promise && _isSelectorMatch(selector, tag)) promise = _applyHandler(_handler, tag, params);
-				});
-			}
-			return promise;
-		})).filter(
-			result=>result
-		).mapSeries(result=>{
-			txt = txt.replace(result.tag.fullMatch, result.replacer);
-		}).then(()=>txt);
-	}
+/**
+ * Move the segments of a text to match the text after the given replacements
+ * (see _replaceTags()).  Replaced parts are covered by a segment for the new
+ * output.  Segments around a replacement are cut back to the part not
+ * replaced, so output containing nested tags keeps the rest of its text.
+ *
+ * @private
+ * @param {ShortcodeParserSegment[]} segments	Segments of the text.
+ * @param {ShortcodeParserReplacer[]} results	Replacements in the order
+ *												they appear in the text.
+ * @returns {ShortcodeParserSegment[]}			The new segments.
+ */
+function _moveSegments(segments, results) {
+	const moved = [];
+	let position = 0;
+	let shift = 0;
+	let n = 0;
 
-	const exports = {
-		/**
-		 * Add a new handler to the parser for given tag name.
-		 *
-		 * @public
-		 * @memberof ShortcodeParser
-		 * @param {string|Function|RegExp} name			Tag name to set handler for.
-		 * @param {function} handler					Handler function to fire on tag.
-		 * @param {boolean} [throwOnAlreadySet=true]	Throw error if tage already exists?
-		 * @return {function}							The handler function returned.
+	const copy = (from, to)=>{
+		for (; (n < segments.length) && (segments[n].end <= from); n++);
+		for (let m = n; (m < segments.length) && (segments[m].start < to); m++) {
+			let start = Math.max(segments[m].start, from);
+			let end = Math.min(segments[m].end, to);
+			let source = segments[m].source + (segments[m].tag ? 0 : start - segments[m].start);
+			if (end > start) moved.push(Object.assign({}, segments[m], {start: start + shift, end: end + shift, source}));
+		}
+	};
+
+	results.forEach(result=>{
+		let replacer = String(result.replacer);
+		let start = result.tag.start + shift;
+
+		copy(position, result.tag.start);
+		if (replacer.length) moved.push({start, end: start + replacer.length, tag: result.tag, source: (result.tag.chain[0] || result.tag).start});
+		shift += replacer.length - (result.tag.end - result.tag.start);
+		position = result.tag.end;
+	});
+	copy(position, Infinity);
+
+	return moved;
+}
+
+/**
+ * Describe a tag chain as text for use in error messages (eg. 'a -> b -> a').
+ *
+ * @private
+ * @param {ShortcodeParserTag[]} chain		The chain to describe.
+ * @returns {string}						Chain description.
+ */
+function _describeChain(chain) {
+	return chain.map(tag=>tag.tagName).join(' -> ');
+}
+
+/**
+ * Check a tag against its chain and the maximum depth, returning an error if
+ * it should not be handled.
+ *
+ * @private
+ * @param {ShortcodeParserTag} tag		Tag to check.
+ * @param {integer} maxDepth			Maximum re-parse depth allowed.
+ * @returns {Error|undefined}			Error describing the problem or
+ *										undefined if none.
+ */
+function _checkChain(tag, maxDepth) {
+	const chain = tag.chain.concat(tag);
+	if (tag.chain.find(parent=>(parent.fullMatch === tag.fullMatch))) {
+		let error = new Error(`Shortcode cycle detected in tag chain: ${_describeChain(chain)}`);
+		error.chain = chain;
+		return error;
+	}
+	if (tag.depth > maxDepth) {
+		let error = new RangeError(`Maximum shortcode depth of ${maxDepth} exceeded in tag chain: ${_describeChain(chain)}`);
+		error.chain = chain;
+		return error;
+	}
+}
+
+/**
+ * @typedef ShortcodeParserPolicy
+ * Restrictions on what can be rendered in a parse, eg. for text written by
+ * untrusted users.
+ *
+ * @property {Array} [allow]					Tag names and selectors, which
+ *												can be rendered.  Tags not
+ *												matching are left as they are.
+ * @property {Array} [deny]						Tag names and selectors, which
+ *												can not be rendered.  Tags
+ *												matching are left as they are.
+ * @property {integer} [maxTags]				Maximum number of tags to render
+ *												in the parse.
+ * @property {integer} [maxNesting]				Maximum number of tags a tag can
+ *												be nested inside, counting the
+ *												tags whose output it came from.
+ * @property {integer} [maxOutput]				Maximum length of the parsed
+ *												text.
+ * @property {boolean} [sandbox=false]			Should handlers only be given a
+ *												frozen copy of their tag (without
+ *												parent, children or chain) and no
+ *												parameters?
+ */
+
+/**
+ * Test if a policy list contains a tag name or selector matching the given
+ * tag.
+ *
+ * @private
+ * @param {Array} list							Tag names and selectors.
+ * @param {string|RegExp|Function} selector		Selector of the tag handler.
+ * @param {ShortcodeParserTag} tag				Tag to test.
+ * @returns {boolean}
+ */
+function _isListed(list, selector, tag) {
+	return list.some(item=>((item === selector) || (_.isString(item) ? (item === tag.tagName) : _isSelectorMatch(item, tag))));
+}
+
+/**
+ * Test if a policy allows a tag to be rendered.
+ *
+ * @private
+ * @param {ShortcodeParserPolicy} policy		Policy to apply.
+ * @param {string|RegExp|Function} selector		Selector of the tag handler.
+ * @param {ShortcodeParserTag} tag				Tag to test.
+ * @returns {boolean}
+ */
+function _isAllowed(policy, selector, tag) {
+	if (policy.allow && !_isListed(policy.allow, selector, tag)) return false;
+	return (!policy.deny || !_isListed(policy.deny, selector, tag));
+}
+
+/**
+ * Check a tag against the nesting and tag count limits of a parse, returning
+ * an error if it should not be handled.  Counts the tag towards the tag
+ * count.
+ *
+ * @private
+ * @param {ShortcodeParserTag} tag		Tag to check.
+ * @param {ShortcodeParserRun} run		The current parse.
+ * @returns {RangeError|undefined}		Error describing the problem or
+ *										undefined if none.
+ */
+function _checkPolicy(tag, run) {
+	const policy = run.policy;
+	let nesting = tag.chain.length;
+	for (let parent = tag.parent; parent; parent = parent.parent) nesting++;
+
+	if ((policy.maxNesting !== undefined) && (nesting > policy.maxNesting)) return new RangeError(`Tag '${tag.tagName}' is nested more than ${policy.maxNesting} deep`);
+	if ((policy.maxTags !== undefined) && (++run.tagCount > policy.maxTags)) return new RangeError(`Maximum of ${policy.maxTags} tags exceeded at tag '${tag.tagName}'`);
+}
+
+/**
+ * Check the length of parsed text against the output limit of a parse,
+ * throwing if it is exceeded.
+ *
+ * @private
+ * @param {integer} length					Length of the parsed text.
+ * @param {ShortcodeParserPolicy} policy	Policy to apply.
+ */
+function _checkOutputLength(length, policy) {
+	if ((policy.maxOutput !== undefined) && (length > policy.maxOutput)) throw new RangeError(`Maximum output length of ${policy.maxOutput} exceeded`);
+}
+
+/**
+ * Create a frozen copy of a tag for a sandboxed handler, without links to
+ * other tags.  The next function and the parse context are kept.
+ *
+ * @private
+ * @param {ShortcodeParserTag} tag		Tag to copy.
+ * @returns {ShortcodeParserTag}		The copy.
+ */
+function _sandboxTag(tag) {
+	const copy = _.omit(tag, ['parent', 'children', 'chain', 'next', 'context']);
+	_.forOwn(copy, (value, name)=>{
+		if (_.isObject(value)) copy[name] = Object.freeze(_.cloneDeep(value));
+	});
+	if (tag.next) copy.next = tag.next;
+	if (tag.context) copy.context = tag.context;
+	return Object.freeze(copy);
+}
+
+/**
+ *  @typedef ShortcodeParserReplacer
+ *  @property {string} replacer				Text to replace tag with.
+ *  @property {ShortcodeParserTag} tag		Tag to do replacement on.
+ *  @property {boolean} [literal=false]		Should the replacement be left
+ *  										as it is and not parsed again?
+ */
+
+/**
+ * @typedef ShortcodeParserFlow
+ * Methods for sequencing parser work, so the same parsing code can run
+ * asynchronously (via promises) or synchronously.
+ *
+ * @property {boolean} sync				Is this the synchronous flow?
+ * @property {Function} resolve			Wrap a value.
+ * @property {Function} reject			Fail with an error.
+ * @property {Function} all				Wait for an array of values.
+ * @property {Function} then			Run a function on a (wrapped) value.
+ * @property {Function} attempt			Run a function, passing any error
+ *										to an error handler.
+ */
+
+/**
+ * Flow for running the parser asynchronously, using bluebird promises.
+ *
+ * @private
+ * @type {ShortcodeParserFlow}
+ */
+const _asyncFlow = Object.freeze({
+	sync: false,
+	resolve: value=>Promise.resolve(value),
+	reject: error=>Promise.reject(error),
+	all: values=>Promise.all(values),
+	then: (value, fn)=>Promise.resolve(value).then(fn),
+	attempt: (fn, onError)=>Promise.try(fn).catch(onError)
+});
+
+/**
+ * Flow for running the parser synchronously, values are used as they are.
+ *
+ * @private
+ * @type {ShortcodeParserFlow}
+ */
+const _syncFlow = Object.freeze({
+	sync: true,
+	resolve: value=>value,
+	reject: error=>{throw error;},
+	all: values=>values,
+	then: (value, fn)=>fn(value),
+	attempt: (fn, onError)=>{
+		try {
+			return fn();
+		} catch(err) {
+			return onError(err);
+		}
+	}
+});
+
+/**
+ * Test if given value is a thenable (ie. a promise).
+ *
+ * @private
+ * @param {*} value			Value to test.
+ * @returns {boolean}
+ */
+function _isThenable(value) {
+	return (_.isObject(value) && _.isFunction(value.then));
+}
+
+/**
+ * Create a function to limit how many tasks run at once.  Tasks given to the
+ * limiter are queued and started in order as running ones complete.  Slots
+ * can also be taken and given back by hand, via the acquire() and release()
+ * functions of the limiter.
+ *
+ * @private
+ * @param {integer} [limit=Infinity]	Maximum number of tasks to run at once.
+ * @returns {Function}					Limiter, taking a task function and
+ *										returning a promise resolving to
+ *										the task result.
+ */
+function _createLimiter(limit=Infinity) {
+	const queue = [];
+	let active = 0;
+
+	const next = ()=>{
+		if ((active >= limit) || !queue.length) return;
+		active++;
+		queue.shift()();
+	};
+	const acquire = ()=>new Promise(resolve=>{
+		queue.push(resolve);
+		next();
+	});
+	const release = ()=>{
+		active--;
+		next();
+	};
+
+	return Object.assign(task=>acquire().then(task).finally(release), {acquire, release});
+}
+
+/**
+ * Check a concurrency or timeout setting is valid, throwing if not.
+ *
+ * @private
+ * @param {string} name			Name of the setting.
+ * @param {*} value				Value to check.
+ * @param {integer} min			The minimum allowed.
+ */
+function _checkLimit(name, value, min) {
+	if ((value !== undefined) && (!_.isNumber(value) || isNaN(value) || (value < min))) throw new RangeError(`${name} must be a number, which is at least ${min}`);
+}
+
+/**
+ * Apply a handler function to a given tag with supplied parameters.
+ *
+ * @private
+ * @param {Function} handler						Handler to apply.
+ * @param {ShortcodeParserTag} tag					Tag to apply handler to.
+ * @param {Array} params							Further parameters to pass
+ * 													to the handler.
+ * @param {ShortcodeParserFlow} flow				Flow to run the handler in.
+ * @returns {Promise.<ShortcodeParserReplacer>|ShortcodeParserReplacer}
+ */
+function _applyHandler(handler, tag, params, flow) {
+	const result = handler.apply({}, params);
+	if (flow.sync && _isThenable(result)) throw new TypeError(`Handler for tag '${tag.tagName}' returned a promise, use parse() instead of parseSync()`);
+	return flow.then(result, replacer=>{
+		return {replacer: replacer || '', tag};
+	});
+}
+
+/**
+ * Test if given selector is selector for the given tag.
+ *
+ * @private
+ * @param {RegExp|Function} selector		Selector to test.
+ * @param {ShortcodeParserTag} tag			Tag to test against.
+ * @returns {boolean}
+ */
+function _isSelectorMatch(selector, tag) {
+	return ((_.isRegExp(selector) && selector.test(tag.tagContents)) || (_.isFunction(selector) && selector(tag.tagContents)));
+}
+
+/**
+ * @typedef ShortcodeParserAttributeSchema
+ * Description of a tag attribute, used to validate and coerce it.
+ *
+ * @property {string|Function} [type='string']	Type to coerce to: 'string',
+ *												'number', 'integer',
+ *												'boolean', 'array' (comma
+ *												separated) or a function
+ *												doing the coercion.
+ * @property {*} [default]						Value to use if attribute
+ *												not given.
+ * @property {boolean} [required=false]			Must the attribute be given?
+ * @property {Array} [enum]						Allowed values (after
+ *												coercion).
+ * @property {integer} [position]				Positional attribute to use
+ *												if the named attribute is
+ *												not given, numbered from 1
+ *												among the attributes without
+ *												a name.
+ * @property {boolean} [multiple=false]			Can the attribute be given
+ *												more than once?  The value
+ *												is then an array of each
+ *												value given, otherwise the
+ *												last value is used.
+ */
+
+/**
+ * Coercion functions for the attribute schema types.  Each returns undefined
+ * if the value cannot be coerced.
+ *
+ * @private
+ * @type {Object}
+ */
+const attributeTypes = {
+	string: value=>value,
+	number: value=>{
+		let number = ((value.trim() === '') ? NaN : Number(value));
+		return (isNaN(number) ? undefined : number);
+	},
+	integer: value=>{
+		let number = attributeTypes.number(value);
+		return (Number.isInteger(number) ? number : undefined);
+	},
+	boolean: value=>{
+		let _value = value.trim().toLowerCase();
+		if (['true', '1', 'yes', 'on'].indexOf(_value) !== -1) return true;
+		if (['false', '0', 'no', 'off'].indexOf(_value) !== -1) return false;
+	},
+	array: value=>((value.trim() === '') ? [] : value.split(',').map(item=>item.trim()))
+};
+
+/**
+ * Get every value given for a named attribute, in order.
+ *
+ * @private
+ * @param {Object} attributes		The tag attributes.
+ * @param {string} name				Name of the attribute.
+ * @returns {Array}					The values.
+ */
+function _getAttributeValues(attributes, name) {
+	const values = _.filter(attributes, (value, key)=>(/^\d+$/.test(key) && _.isPlainObject(value) && value.hasOwnProperty(name))).map(value=>value[name]);
+	return ((values.length || (attributes[name] === undefined)) ? values : [attributes[name]]);
+}
+
+/**
+ * Coerce an attribute value to the given schema type.  The built-in types
+ * coerce text values (JSON values are only kept by the array type).
+ *
+ * @private
+ * @param {string|Function} type		The type.
+ * @param {*} value						The value.
+ * @returns {*}							The coerced value, or undefined if it
+ *										cannot be coerced.
+ */
+function _coerceAttribute(type, value) {
+	if (_.isFunction(type)) return type(value);
+	if (_.isString(value)) return attributeTypes[type](value);
+	if ((type === 'array') && Array.isArray(value)) return value;
+}
+
+/**
+ * Check an attribute schema is valid, throwing if it is not.
+ *
+ * @private
+ * @param {string|Function|RegExp} name						Tag the schema is
+ *															for.
+ * @param {Object.<ShortcodeParserAttributeSchema>} schema	Schema to check.
+ */
+function _checkSchema(name, schema) {
+	if (!_.isPlainObject(schema)) throw new TypeError(`Attribute schema for '${name}' must be an object`);
+	_.forOwn(schema, (attribute, attributeName)=>{
+		let type = attribute.type || 'string';
+		if (!_.isFunction(type) && !attributeTypes.hasOwnProperty(type)) throw new TypeError(`Unknown type '${type}' for attribute '${attributeName}' of '${name}'`);
+		if ((attribute.position !== undefined) && (!Number.isInteger(attribute.position) || (attribute.position < 1))) throw new TypeError(`Position of attribute '${attributeName}' of '${name}' must be an integer, which is at least 1`);
+	});
+}
+
+/**
+ * Create an error for an attribute, which does not match its schema.
+ *
+ * @private
+ * @param {ShortcodeParserTag} tag		Tag with the invalid attribute.
+ * @param {string} name					Name of the attribute.
+ * @param {string} message				What is wrong with it.
+ * @returns {TypeError}
+ */
+function _createAttributeError(tag, name, message) {
+	let error = new TypeError(`Attribute '${name}' of tag '${tag.tagName}' ${message}`);
+	error.tag = tag;
+	error.attribute = name;
+	return error;
+}
+
+/**
+ * Apply an attribute schema to a tag, replacing its attributes with the
+ * coerced ones described in the schema.  The original attributes are kept in
+ * the tag's rawAttributes property.
+ *
+ * @private
+ * @param {Object.<ShortcodeParserAttributeSchema>} schema	Schema to apply.
+ * @param {ShortcodeParserTag} tag							Tag to apply it to.
+ * @returns {TypeError|undefined}							Error describing
+ *															the first invalid
+ *															attribute or
+ *															undefined if none.
+ */
+function _applySchema(schema, tag) {
+	const raw = tag.rawAttributes = (tag.rawAttributes || tag.attributes);
+	const attributes = {};
+	let error;
+
+	_.forOwn(schema, (attribute, name)=>{
+		if (error) return;
+		let values = _getAttributeValues(raw, name);
+		if (!values.length && (attribute.position !== undefined) && _.isString(tag.positional[attribute.position - 1])) values = [tag.positional[attribute.position - 1]];
+
+		if (!values.length) {
+			if (attribute.required) return (error = _createAttributeError(tag, name, 'is required'));
+			if (attribute.hasOwnProperty('default')) attributes[name] = attribute.default;
+			return;
+		}
+
+		let type = attribute.type || 'string';
+		let _values = (attribute.multiple ? values : [_.last(values)]).map(value=>{
+			if (error) return;
+			let _value = _coerceAttribute(type, value);
+			if (_value === undefined) return (error = _createAttributeError(tag, name, `must be of type '${_.isFunction(type) ? (type.name || 'custom') : type}'`));
+			if (attribute.enum && !attribute.enum.some(item=>_.isEqual(item, _value))) return (error = _createAttributeError(tag, name, `must be one of: ${attribute.enum.join(', ')}`));
+			return _value;
+		});
+		attributes[name] = (attribute.multiple ? _values : _values[0]);
+	});
+
+	tag.attributes = attributes;
+	return error;
+}
+
+/**
+ * @typedef ShortcodeParserHooks
+ * Functions run at points of a parse.  Each is given a value and the parse
+ * parameters, returning the new value (or a promise of it in parse()) or
+ * undefined to keep the value.
+ *
+ * @property {Function} [beforeParse]	Given the text to parse.
+ * @property {Function} [afterTag]		Given the top-level tags found in
+ *										each pass of the text, before their
+ *										handlers are run.  Only the returned
+ *										tags are rendered.
+ * @property {Function} [afterParse]	Given the parsed text.
+ */
+
+/**
+ * @typedef ShortcodeParserOutputContext
+ * Where a tag sits in the HTML of the text being parsed.
+ *
+ * @property {string} type				'html' (in the document body),
+ *										'attribute' (in an HTML tag or
+ *										attribute value) or 'url' (in the
+ *										value of an attribute taking a URL,
+ *										eg. href).
+ * @property {string|null} attribute	Name of the HTML attribute the tag
+ *										sits in (lowercase), or null.
+ * @property {string} quote				Quote character around the attribute
+ *										value ('"', "'" or '' if unquoted).
+ * @property {string} prefix			The attribute value before the tag.
+ */
+
+/**
+ * @typedef ShortcodeParserHtmlState
+ * Where a position in some text sits in its HTML.
+ *
+ * @property {string} mode			'text' (outside any HTML tag), 'tag' (in
+ *									the tag name), 'space' (between
+ *									attributes), 'name' (in an attribute
+ *									name), 'equals' (after an attribute
+ *									name), 'before' (after the = of an
+ *									attribute) or 'value' (in an attribute
+ *									value).
+ * @property {integer} open			Start of the open HTML tag, or -1.
+ * @property {string|null} name		Name of the last attribute (lowercase).
+ * @property {string} quote			Quote character around the attribute
+ *									value ('"', "'" or '' if unquoted).
+ * @property {integer} value		Start of the attribute value.
+ * @property {integer} position		Position scanned up to.
+ * @property {integer} start		Start of the last attribute name.
+ * @property {integer} next			Index of the next tag to skip.
+ */
+
+/**
+ * Scan some text up to a position, following its HTML tags and their quoted
+ * attribute values (so a > in a value does not end the tag).  The text of
+ * shortcode tags is skipped, as it is replaced when they are rendered.
+ *
+ * @private
+ * @param {string} txt							The text.
+ * @param {integer} end							Position to scan up to.
+ * @param {ShortcodeParserTag[]} [tags=[]]		Tags in the text, in order.
+ * @param {ShortcodeParserHtmlState} [state]	State of an earlier scan of
+ *												the text to carry on from.
+ * @returns {ShortcodeParserHtmlState}			State at the position.
+ */
+function _scanHtml(txt, end, tags=[], state={mode: 'text', open: -1, name: null, quote: '', value: -1, position: 0, start: 0, next: 0}) {
+	for (let n = state.position; n < end; n++) {
+		while ((state.next < tags.length) && (tags[state.next].end <= n)) state.next++;
+		if ((state.next < tags.length) && (tags[state.next].start <= n)) {
+			if (state.mode === 'before') Object.assign(state, {mode: 'value', quote: '', value: n});
+			n = tags[state.next].end - 1;
+			continue;
+		}
+
+		let chr = txt.charAt(n);
+		let space = xHtmlSpace.test(chr);
+		if (state.mode === 'text') {
+			if ((chr === '<') && xHtmlOpenTag.test(txt.substr(n, 2))) Object.assign(state, {mode: 'tag', open: n});
+		} else if (state.mode === 'value') {
+			if (state.quote ? (chr === state.quote) : space) state.mode = 'space';
+			if (!state.quote && (chr === '>')) Object.assign(state, {mode: 'text', open: -1});
+		} else if (chr === '>') {
+			Object.assign(state, {mode: 'text', open: -1});
+		} else if (state.mode === 'before') {
+			let quote = (((chr === '"') || (chr === '\'')) ? chr : '');
+			if (!space) Object.assign(state, {mode: 'value', quote, value: (quote ? n + 1 : n)});
+		} else if ((chr === '=') && ((state.mode === 'name') || (state.mode === 'equals'))) {
+			if (state.mode === 'name') state.name = txt.substring(state.start, n).toLowerCase();
+			state.mode = 'before';
+		} else if (space || (chr === '/')) {
+			if (state.mode === 'name') state.name = txt.substring(state.start, n).toLowerCase();
+			state.mode = ((space && ((state.mode === 'name') || (state.mode === 'equals'))) ? 'equals' : 'space');
+		} else if ((state.mode === 'space') || (state.mode === 'equals')) {
+			Object.assign(state, {mode: 'name', start: n});
+		}
+	}
+
+	return Object.assign(state, {position: Math.max(end, state.position)});
+}
+
+/**
+ * Get the output context for the position a scan of some text ended at.
+ *
+ * @private
+ * @param {string} txt							The text.
+ * @param {ShortcodeParserHtmlState} state		State of the scan (see
+ *												_scanHtml()).
+ * @returns {ShortcodeParserOutputContext}		The context.
+ */
+function _getOutputContext(txt, state) {
+	const context = {type: 'html', attribute: null, quote: '', prefix: ''};
+	if (state.mode === 'text') return context;
+	if ((state.mode !== 'before') && (state.mode !== 'value')) return Object.assign(context, {type: 'attribute'});
+
+	return {
+		type: ((urlAttributes.indexOf(state.name) === -1) ? 'attribute' : 'url'),
+		attribute: state.name,
+		quote: ((state.mode === 'value') ? state.quote : ''),
+		prefix: ((state.mode === 'value') ? txt.substring(state.value, state.position) : '')
+	};
+}
+
+/**
+ * Get any open HTML tag at the end of the given text (eg. '<a href="').
+ *
+ * @private
+ * @param {string} txt							The text.
+ * @param {ShortcodeParserTag[]} [tags=[]]		Tags in the text, in order.
+ * @returns {string}							The open tag or an empty
+ *												string.
+ */
+function _getOpenHtmlTag(txt, tags=[]) {
+	const state = _scanHtml(txt, txt.length, tags);
+	return ((state.open === -1) ? '' : txt.substring(state.open));
+}
+
+/**
+ * Escape text for use in HTML.
+ *
+ * @private
+ * @param {string} txt		Text to escape.
+ * @returns {string}		Escaped text.
+ */
+function _escapeHtml(txt) {
+	return String(txt).replace(xHtmlEscapes, chr=>htmlEscapes[chr]);
+}
+
+/**
+ * Escape text for use in an HTML attribute value.
+ *
+ * @private
+ * @param {string} txt		Text to escape.
+ * @returns {string}		Escaped text.
+ */
+function _escapeAttribute(txt) {
+	return String(txt).replace(xAttributeEscapes, chr=>htmlEscapes[chr]);
+}
+
+/**
+ * Make a URL safe, replacing it if it uses an unsafe scheme (eg.
+ * javascript:) and encoding unsafe characters.
+ *
+ * @private
+ * @param {string} url		URL to make safe.
+ * @returns {string}		The safe URL.
+ */
+function _sanitizeUrl(url) {
+	const scheme = xUrlScheme.exec(url);
+	if (scheme && (safeUrlSchemes.indexOf(scheme[1].toLowerCase()) === -1)) return 'about:invalid';
+	return String(url).trim().replace(xUrlUnsafe, encodeURIComponent);
+}
+
+/**
+ * Escape the text result of a handler for the context of its tag.
+ *
+ * @private
+ * @param {string} txt								Text to escape.
+ * @param {ShortcodeParserOutputContext} context	Context to escape for.
+ * @returns {string}								Escaped text.
+ */
+function _escapeOutput(txt, context) {
+	if (context.type === 'html') return _escapeHtml(txt);
+	if (context.type === 'url') txt = (context.prefix.trim() ? encodeURIComponent(txt) : _sanitizeUrl(txt));
+	const escaped = _escapeAttribute(txt);
+	return (context.quote ? escaped : escaped.replace(xUnquotedAttributeEscapes, chr=>`&#${chr.charCodeAt(0)};`));
+}
+
+/**
+ * @typedef ShortcodeParserLocation
+ * Line and column of a position in a text.
+ *
+ * @property {integer} line			Line number (starting at 1).
+ * @property {integer} column		Column number (starting at 0).
+ */
+
+/**
+ * @typedef ShortcodeParserNode
+ * Node in a parsed document, as returned by ShortcodeParser.extract().  Root
+ * nodes only have type and children properties.
+ *
+ * @property {string} type					Type of node: 'root', 'text' or
+ *											'tag'.
+ * @property {string} [value]				Text of text nodes.
+ * @property {string} [tagName]				Name of tag nodes.
+ * @property {string} [tagContents]			Contents of the start tag of tag
+ *											nodes.
+ * @property {object} [attributes]			Attributes of tag nodes.
+ * @property {boolean} [selfClosing]		Is the tag self-closing?
+ * @property {boolean} [escaped]			Is the tag escaped?
+ * @property {boolean} [handled]			Does the tag have a handler?
+ * @property {string} [openTag]				Text of the start tag.  If
+ *											removed, stringify() builds it
+ *											from tagName and attributes.
+ * @property {string|null} [closeTag]		Text of the end tag, null if
+ *											self-closing.
+ * @property {integer} [start]				Start character number in
+ *											original text.
+ * @property {integer} [end]				End character number in
+ *											original text.
+ * @property {Object} [loc]					Start and end line/column, each a
+ *											ShortcodeParserLocation.
+ * @property {ShortcodeParserNode[]} [children]	Nodes in the root or the
+ *												content of a tag.
+ */
+
+/**
+ * Create a function to convert character numbers in the given text into
+ * line and column numbers.
+ *
+ * @private
+ * @param {string} txt			The text.
+ * @returns {Function}			Function taking a character number and
+ *								returning a ShortcodeParserLocation.
+ */
+function _createLocator(txt) {
+	const lineStarts = [0];
+	for (let n = txt.indexOf('\n'); n !== -1; n = txt.indexOf('\n', n + 1)) lineStarts.push(n + 1);
+
+	return position=>{
+		let line = _.sortedLastIndex(lineStarts, position);
+		return {line, column: position - lineStarts[line - 1]};
+	};
+}
+
+/**
+ * Add line and column information to a tag or node.
+ *
+ * @private
+ * @param {ShortcodeParserTag|ShortcodeParserNode} item		Item to add it to.
+ * @param {Function} locate									Locator for the
+ *															text.
+ * @returns {ShortcodeParserTag|ShortcodeParserNode}		The same item.
+ */
+function _locate(item, locate) {
+	item.loc = {start: locate(item.start), end: locate(item.end)};
+	return item;
+}
+
+/**
+ * Encode a number as a base64 VLQ, as used in source map mappings.
+ *
+ * @private
+ * @param {integer} value		The number.
+ * @returns {string}			The encoded number.
+ */
+function _encodeVlq(value) {
+	let vlq = ((value < 0) ? ((-value) << 1) + 1 : value << 1);
+	let encoded = '';
+
+	do {
+		let digit = vlq & 31;
+		vlq >>>= 5;
+		encoded += base64Digits.charAt((vlq > 0) ? (digit | 32) : digit);
+	} while (vlq > 0);
+
+	return encoded;
+}
+
+/**
+ * @typedef ShortcodeParserSourceMap
+ * Source map (version 3) from a rendered text back to the text it was
+ * rendered from.  Handler output maps to the start of the top-level tag it
+ * came from, with the name of the tag which produced it.
+ *
+ * @property {integer} version				Always 3.
+ * @property {string} [file]				Name of the rendered file.
+ * @property {string[]} sources				Name of the original text.
+ * @property {string[]} sourcesContent		The original text.
+ * @property {string[]} names				Tag names used in the mappings.
+ * @property {string} mappings				The encoded mappings.
+ */
+
+/**
+ * @typedef ShortcodeParserSourceRange
+ * Part of a rendered text produced by a tag handler.
+ *
+ * @property {integer} start				Start character number in the
+ *											rendered text.
+ * @property {integer} end					End character number in the
+ *											rendered text.
+ * @property {ShortcodeParserTag} tag		The tag which produced it (with its
+ *											name, depth and chain).
+ * @property {Object} source				Start and end character numbers
+ *											(start, end) in the original text
+ *											of the top-level tag it came from.
+ */
+
+/**
+ * Create a source map for a rendered text from its segments.  Each segment
+ * is mapped at its start and at the start of each line in it.
+ *
+ * @private
+ * @param {string} txt								The original text.
+ * @param {string} output							The rendered text.
+ * @param {ShortcodeParserSegment[]} segments		Segments of the rendered
+ *													text.
+ * @param {Object} options							Source map options.
+ * @param {string} [options.source='']				Name of the original text.
+ * @param {string} [options.file]					Name of the rendered text.
+ * @returns {ShortcodeParserSourceMap}				The source map.
+ */
+function _createSourceMap(txt, output, segments, options) {
+	const locateSource = _createLocator(txt);
+	const locateOutput = _createLocator(output);
+	const names = [];
+	const lines = [];
+	const last = {line: 0, column: 0, sourceLine: 1, sourceColumn: 0, name: 0};
+
+	const addMapping = (position, source, tag)=>{
+		let generated = locateOutput(position);
+		let original = locateSource(source);
+		if (generated.line !== last.line) Object.assign(last, {line: generated.line, column: 0});
+		let fields = [generated.column - last.column, 0, original.line - last.sourceLine, original.column - last.sourceColumn];
+		if (tag) {
+			let name = names.indexOf(tag.tagName);
+			if (name === -1) name = names.push(tag.tagName) - 1;
+			fields.push(name - last.name);
+			last.name = name;
+		}
+		Object.assign(last, {column: generated.column, sourceLine: original.line, sourceColumn: original.column});
+		while (lines.length < generated.line) lines.push([]);
+		lines[generated.line - 1].push(fields.map(_encodeVlq).join(''));
+	};
+
+	segments.forEach(segment=>{
+		addMapping(segment.start, segment.source, segment.tag);
+		for (let n = output.indexOf('\n', segment.start); (n !== -1) && (n + 1 < segment.end); n = output.indexOf('\n', n + 1)) {
+			addMapping(n + 1, segment.source + (segment.tag ? 0 : n + 1 - segment.start), segment.tag);
+		}
+	});
+
+	return Object.assign({version: 3}, (options.file ? {file: options.file} : {}), {
+		sources: [options.source || ''],
+		sourcesContent: [txt],
+		names,
+		mappings: lines.map(line=>line.join(',')).join(';')
+	});
+}
+
+/**
+ * Create the document nodes for part of a text, given the tags in it.
+ *
+ * @private
+ * @param {string} txt						The full text.
+ * @param {ShortcodeParserTag[]} tags		Tags in the part of the text.
+ * @param {integer} start					Start of the part.
+ * @param {integer} end						End of the part.
+ * @param {Function} locate					Locator for the text.
+ * @param {Function} isHandled				Function to test if a tag has a
+ *											handler.
+ * @returns {ShortcodeParserNode[]}			The nodes.
+ */
+function _createNodes(txt, tags, start, end, locate, isHandled) {
+	const nodes = [];
+	const addText = (start, end)=>{
+		if (end > start) nodes.push(_locate({type: 'text', value: txt.substring(start, end), start, end}, locate));
+	};
+	let position = start;
+
+	tags.forEach(tag=>{
+		addText(position, tag.start);
+		let contentEnd = tag.contentStart + tag.content.length;
+		nodes.push(_locate({
+			type: 'tag',
+			tagName: tag.tagName,
+			tagContents: tag.tagContents,
+			attributes: tag.attributes,
+			selfClosing: tag.selfClosing,
+			escaped: tag.escaped,
+			syntax: tag.syntax,
+			handled: isHandled(tag),
+			openTag: txt.substring(tag.start, (tag.selfClosing ? tag.end : tag.contentStart)),
+			closeTag: (tag.selfClosing ? null : txt.substring(contentEnd, tag.end)),
+			start: tag.start,
+			end: tag.end,
+			children: (tag.selfClosing ? [] : _createNodes(txt, tag.children, tag.contentStart, contentEnd, locate, isHandled))
+		}, locate));
+		position = tag.end;
+	});
+	addText(position, end);
+
+	return nodes;
+}
+
+/**
+ * @typedef ShortcodeParserDiagnostic
+ * A problem found in a text, as returned by ShortcodeParser.validate().
+ *
+ * @property {string} severity			'error' or 'warning'.
+ * @property {string} code				What the problem is:
+ *										'unmatched-end-tag',
+ *										'crossed-tags', 'unclosed-tag',
+ *										'duplicate-attribute' or
+ *										'unknown-tag'.
+ * @property {string} message			Description of the problem.
+ * @property {string} tagName			Name of the tag with the problem.
+ * @property {integer} start			Start character number of the tag in
+ *										the text.
+ * @property {integer} end				End character number of the tag in
+ *										the text.
+ * @property {Object} loc				Start and end line/column, each a
+ *										ShortcodeParserLocation.
+ */
+
+/**
+ * Find the problems in a text, given the tags in it.  End tags without a
+ * start tag and tags crossing each other are errors.  Start tags without an
+ * end tag are only warned about if another tag of that name has an end tag,
+ * as they are otherwise self-closing.  Repeated attribute names and tags
+ * without a handler are also warned about.
+ *
+ * @private
+ * @param {string} txt							The text.
+ * @param {ShortcodeParserTag[]} tags			The tags in the text.
+ * @param {ShortcodeParserFinder[]} finders		Finder objects used to find
+ *												the tags.
+ * @param {Function} isHandled					Function to test if a tag
+ *												has a handler.
+ * @returns {ShortcodeParserDiagnostic[]}		The problems, in the order
+ *												they appear in the text
+ *												(without loc).
+ */
+function _validate(txt, tags, finders, isHandled) {
+	const diagnostics = [];
+	const problems = [];
+	const starts = tags.filter(tag=>!tag.endTag).map(tag=>({
+		tag,
+		start: tag.start,
+		end: tag.end,
+		repeated: _getFinder(finders, tag).getAttributes(tag.fullMatch).repeated
+	}));
+	const add = (severity, code, tag, message, range=tag)=>diagnostics.push({severity, code, message, tagName: tag.tagName, start: range.start, end: range.end});
+
+	_buildTree(txt, tags, finders, problems);
+	starts.forEach(start=>{
+		let tag = start.tag;
+		if (tag.escaped) return;
+		start.repeated.forEach(name=>add('warning', 'duplicate-attribute', tag, `Attribute '${name}' is given more than once in tag '${tag.tagName}'`, start));
+		if (!isHandled(tag)) add('warning', 'unknown-tag', tag, `Tag '${tag.tagName}' has no handler`, start);
+	});
+	problems.forEach(problem=>{
+		let tag = problem.tag;
+		if (problem.code === 'unmatched-end-tag') return add('error', problem.code, tag, `End tag '${tag.tagName}' has no start tag`);
+		if (problem.code === 'crossed-tags') return add('error', problem.code, tag, `End tag '${tag.tagName}' comes after the end of tag '${problem.other.tagName}', which it starts inside`);
+		add('warning', problem.code, tag, `Tag '${tag.tagName}' has no end tag`);
+	});
+
+	return _.sortBy(diagnostics, 'start');
+}
+
+/**
+ * Quote an attribute value for use in a tag, if it needs quoting.  Quotes and
+ * backslashes in quoted values are escaped with a backslash.  JSON values are
+ * written as JSON.
+ *
+ * @private
+ * @param {*} value			The value to quote.
+ * @returns {string}		The quoted value.
+ */
+function _quoteAttribute(value) {
+	if (_.isObject(value)) return JSON.stringify(value);
+	const _value = _.toString(value);
+	if (/^[^\s"'=\[\]]+$/.test(_value)) return _value;
+	const quote = (((_value.indexOf('"') !== -1) && (_value.indexOf('\'') === -1)) ? '\'' : '"');
+	return quote + _value.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`) + quote;
+}
+
+/**
+ * Convert an attributes object back to attribute text.  Numbered attributes
+ * are written first, in order, followed by any other named attributes.
+ * Names given more than once are written with each of their values.
+ *
+ * @private
+ * @param {Object} attributes			The attributes.
+ * @param {string} [separator=' ']		The attribute separator, values are
+ *										only quoted when separated by spaces.
+ * @returns {string}					The attribute text.
+ */
+function _stringifyAttributes(attributes, separator=' ') {
+	const quote = ((separator === ' ') ? _quoteAttribute : _.toString);
+	const written = new Set();
+	const numbered = Object.keys(attributes).filter(name=>/^\d+$/.test(name)).map(Number).sort((a, b)=>(a - b));
+	const counts = _.countBy(_.flatMap(numbered, n=>(_.isPlainObject(attributes[n]) ? Object.keys(attributes[n]) : [])));
+	const parts = numbered.map(n=>{
+		written.add(String(n));
+		if (!_.isPlainObject(attributes[n])) return quote(attributes[n]);
+		return Object.keys(attributes[n]).map(name=>{
+			written.add(name);
+			return `${name}=${quote((attributes.hasOwnProperty(name) && (counts[name] === 1)) ? attributes[name] : attributes[n][name])}`;
+		}).join(separator);
+	});
+
+	_.forOwn(attributes, (value, name)=>{
+		if (!written.has(name)) parts.push(`${name}=${quote(value)}`);
+	});
+
+	return parts.join(separator);
+}
+
+/**
+ * Convert document nodes back to text.  Tags are written in their syntax,
+ * or the first syntax of the parser if they have none.
+ *
+ * @private
+ * @param {ShortcodeParserNode[]} nodes			The nodes to convert.
+ * @param {ShortcodeParserFinder[]} finders		Finder objects of the parser
+ *												(for the tag syntaxes).
+ * @returns {string}							The text.
+ */
+function _stringifyNodes(nodes, finders) {
+	return nodes.map(node=>{
+		if (node.type === 'text') return node.value;
+		if (node.type === 'root') return _stringifyNodes(node.children, finders);
+
+		let finder = _getFinder(finders, node);
+		let padding = (finder.padding ? ' ' : '');
+		let attributes = _stringifyAttributes(node.attributes || {}, finder.separator);
+		let end = (((attributes.slice(-1) === finder.end.charAt(0)) ? ' ' : padding) + finder.end);
+		let openTag = (_.isString(node.openTag) ? node.openTag : `${finder.start}${padding}${node.tagName}${attributes ? finder.separator + attributes : ''}${end}`);
+		if ((node.selfClosing && !(node.children || []).length) || !finder.closing) return openTag;
+		let closeTag = (_.isString(node.closeTag) ? node.closeTag : `${finder.start}${padding}${finder.closing}${node.tagName}${padding}${finder.end}`);
+		return openTag + _stringifyNodes(node.children || [], finders) + closeTag;
+	}).join('');
+}
+
+/**
+ * Find how much of the text buffered in a parse stream can be rendered.  Text
+ * is held back from the first top-level start tag, which could still be
+ * closed by text to come, or from a tag start which is not yet complete.
+ * Escape characters before the held back text are held with it, so pairs of
+ * them are kept together.  Tags are only waited on for lookahead characters,
+ * after that unclosed start tags are treated as self-closing.
+ *
+ * @private
+ * @param {string} txt						The buffered text.
+ * @param {ShortcodeParserTag[]} tags		All the tags found in the text.
+ * @param {ShortcodeParserTag[]} root		The top-level tags in the text.
+ * @param {ShortcodeParserFinder[]} finders	Finder objects used to find the
+ *											tags.
+ * @param {integer} lookahead				Number of characters to wait for
+ *											a tag to complete.
+ * @returns {integer}						Position to render the text up to.
+ */
+function _findStreamSplit(txt, tags, root, finders, lookahead) {
+	const limit = txt.length - lookahead;
+	const starts = _.flatMap(finders, finder=>(finder.escapeChar ? [finder.start, finder.escapeChar + finder.start] : [finder.start]));
+	let split = txt.length;
+
+	const open = root.find(tag=>{
+		let finder = _getFinder(finders, tag);
+		return (tag.selfClosing && (tag.start >= limit) && (!finder.isSelfClosingTag || !finder.isSelfClosingTag.test(tag.fullMatch)));
+	});
+	if (open) split = open.start;
+
+	for (let n = Math.max(_.max(tags.map(tag=>tag.end)) || 0, limit); n < split; n++) {
+		if (starts.some(start=>start.startsWith(txt.substr(n, start.length)))) split = n;
+	}
+
+	let adjacent;
+	while ((split > 0) && (adjacent = root.find(tag=>(_getFinder(finders, tag).escapes && ((tag.start === split) || (tag.end === split)))))) {
+		split = ((adjacent.end === split) ? adjacent.start : split - 1);
+	}
+
+	const escapeChars = _.uniq(_.compact(finders.map(finder=>finder.escapeChar)));
+	const rendered = _.max(tags.filter(tag=>(tag.end <= split)).map(tag=>tag.end)) || 0;
+	let escapeChar;
+	while ((split < txt.length) && (escapeChar = escapeChars.find(chr=>(((split - chr.length) >= rendered) && (txt.substring(split - chr.length, split) === chr))))) {
+		split -= escapeChar.length;
+	}
+
+	return split;
+}
+
+/**
+ * @typedef ShortcodeParserRenderOptions
+ * Options for a single parse.
+ *
+ * @property {Array} [params=[]]				Parameters to pass to the
+ *												handlers.
+ * @property {string|Function} [onError]		What to do when a tag fails:
+ *												'throw' (reject the parse),
+ *												'keep' (leave the tag text),
+ *												'remove' (replace with an
+ *												empty string) or a function
+ *												receiving the tag and error,
+ *												returning the text to use.
+ *												Defaults to the parser
+ *												onError option.
+ * @property {integer} [concurrency]			Maximum number of handlers to
+ *												run at once.  Defaults to the
+ *												parser concurrency option.
+ * @property {integer} [timeout]				Milliseconds to wait for a
+ *												handler before failing it with
+ *												a Promise.TimeoutError (0 for
+ *												no timeout).  Defaults to the
+ *												parser timeout option.
+ * @property {ShortcodeParserPolicy} [policy]	Restrictions on what can be
+ *												rendered.  Defaults to the
+ *												parser policy option.
+ * @property {Object} [context={}]				Object shared by the handlers
+ *												for the parse (as tag.context).
+ *												Not passed to sandboxed parses,
+ *												which get a new object.
+ * @property {boolean|Object} [sourceMap=false]	Create a source map of the
+ *												rendered text?  Can be an
+ *												object with the name of the
+ *												original text (source) and
+ *												of the rendered text (file).
+ */
+
+/**
+ * @typedef ShortcodeParserResult
+ * The result of a parse.
+ *
+ * @property {string} txt					The parsed text.
+ * @property {Object[]} errors				Errors handled during the parse,
+ *											each with the failing tag (tag)
+ *											and the error (error).
+ * @property {Object} context				Context object shared by the
+ *											handlers.
+ * @property {ShortcodeParserSourceMap|null} [map]	Source map of the parsed
+ *											text, if asked for with the
+ *											sourceMap option.  Null if an
+ *											afterParse hook changed the text.
+ * @property {ShortcodeParserSourceRange[]|null} [ranges]	Parts of the
+ *											parsed text produced by tag
+ *											handlers, in order, if asked for
+ *											with the sourceMap option.  Null
+ *											if an afterParse hook changed the
+ *											text.
+ */
+
+/**
+ * @typedef ShortcodeParserCacheStore
+ * Store for cached handler results.  Methods can return promises, except
+ * when used in synchronous parses.
+ *
+ * @property {Function} get				Get a value by key, returning
+ *										undefined if not found or expired.
+ * @property {Function} set				Set a value by key, given the key,
+ *										value and an object with the ttl
+ *										(milliseconds, 0 for no expiry) and
+ *										tagName of the entry.
+ * @property {Function} invalidate		Remove all entries for the given
+ *										tag name.
+ */
+
+/**
+ * @typedef ShortcodeParserCacheOptions
+ * Cache settings for a handler.
+ *
+ * @property {ShortcodeParserCacheStore} [store]	Store to use, defaults to
+ *													a new memory store.
+ * @property {integer} [ttl=0]						Milliseconds to keep
+ *													results for (0 for no
+ *													expiry).
+ * @property {Function} [key]						Function given the tag and
+ *													returning its cache key.
+ *													Defaults to a key from the
+ *													tag name, attributes and
+ *													content.
+ */
+
+/**
+ * Create the default cache key for a tag, from its name, attributes and
+ * content.
+ *
+ * @private
+ * @param {ShortcodeParserTag} tag		Tag to create key for.
+ * @returns {string}					The key.
+ */
+function _getCacheKey(tag) {
+	return JSON.stringify([tag.attributes, tag.content]);
+}
+
+/**
+ * Check a handler cache setting is valid, throwing if not.  Returns the
+ * settings with defaults applied.
+ *
+ * @private
+ * @param {string|RegExp|Function} name				Handler the cache is for.
+ * @param {ShortcodeParserCacheOptions|boolean} cache	The setting to check.
+ * @param {boolean} batch							Is the handler a batch
+ *													handler?
+ * @returns {ShortcodeParserCacheOptions|undefined}	The cache settings.
+ */
+function _checkCacheOption(name, cache, batch) {
+	if (!cache) return undefined;
+	if (batch) throw new TypeError(`Cannot cache results of batch handler '${name}'`);
+	const _cache = Object.assign({ttl: 0, key: _getCacheKey}, ((cache === true) ? {} : cache));
+	if (!_cache.store) _cache.store = _createMemoryStore();
+	_cache.pending = new Map();
+
+	if (!_.isFunction(_cache.key)) throw new TypeError(`Cache key for '${name}' must be a function`);
+	['get', 'set', 'invalidate'].forEach(method=>{
+		if (!_.isFunction(_cache.store[method])) throw new TypeError(`Cache store for '${name}' must have a ${method}() method`);
+	});
+	_checkLimit('ttl', _cache.ttl, 0);
+	return _cache;
+}
+
+/**
+ * Create an in-memory cache store, which removes the least recently used
+ * entries when full.
+ *
+ * @private
+ * @param {Object} [options={}]			Options for the store.
+ * @param {integer} [options.max=1000]	Maximum number of entries.
+ * @returns {ShortcodeParserCacheStore}	The store.
+ */
+function _createMemoryStore(options={}) {
+	const max = _.defaults({}, options, defaultMemoryStoreOptions).max;
+	const entries = new Map();
+	_checkLimit('max', max, 1);
+
+	return {
+		get: key=>{
+			const entry = entries.get(key);
+			if (!entry) return undefined;
+			entries.delete(key);
+			if (entry.expires && (entry.expires <= Date.now())) return undefined;
+			entries.set(key, entry);
+			return entry.value;
+		},
+		set: (key, value, options={})=>{
+			entries.delete(key);
+			entries.set(key, {value, tagName: options.tagName, expires: (options.ttl ? (Date.now() + options.ttl) : 0)});
+			if (entries.size > max) entries.delete(entries.keys().next().value);
+		},
+		invalidate: tagName=>entries.forEach((entry, key)=>{
+			if (entry.tagName === tagName) entries.delete(key);
+		})
+	};
+}
+
+/**
+ * @typedef ShortcodeParserRun
+ * State of a single parse.
+ *
+ * @property {ShortcodeParserFlow} flow		Flow to run the parse in.
+ * @property {Array} params					Parameters to pass to the handlers.
+ * @property {string|Function} onError		What to do when a tag fails.
+ * @property {Object[]} errors				Errors handled so far.
+ * @property {integer} timeout				Default handler timeout in
+ *											milliseconds (0 for none).
+ * @property {Function} limit				Limiter for all handlers.
+ * @property {WeakMap} slots				Slot of the limiter for all
+ *											handlers held by the handler
+ *											running for each tag.
+ * @property {Map} limiters					Limiters for each handler.
+ * @property {Map} batches					Tags queued for each batch
+ *											handler.
+ * @property {ShortcodeParserPolicy} policy	Restrictions on the parse.
+ * @property {integer} tagCount				Number of tags rendered so far.
+ * @property {ShortcodeParserSegment[]|null} segments	Segments of the text,
+ *											tracked when a source map is
+ *											wanted.
+ * @property {Object} context				Object shared by the handlers.
+ */
+
+/**
+ * Check an onError setting is valid, throwing if not.
+ *
+ * @private
+ * @param {string|Function} onError		The setting to check.
+ */
+function _checkOnError(onError) {
+	if (!_.isFunction(onError) && (errorStrategies.indexOf(onError) === -1)) throw new TypeError(`onError must be a function or one of: ${errorStrategies.join(', ')}`);
+}
+
+/**
+ * Check a sourceMap render option is valid, throwing if not.  Returns the
+ * source map options, or null if no source map is wanted.
+ *
+ * @private
+ * @param {boolean|Object} [sourceMap]		The setting to check.
+ * @returns {Object|null}					The source map options.
+ */
+function _checkSourceMapOption(sourceMap) {
+	if (!sourceMap) return null;
+	if (sourceMap === true) return {};
+	if (!_.isPlainObject(sourceMap) || !['source', 'file'].every(name=>((sourceMap[name] === undefined) || _.isString(sourceMap[name])))) {
+		throw new TypeError('sourceMap must be a boolean or an object with source and file names');
+	}
+	return sourceMap;
+}
+
+/**
+ * Check a policy setting is valid, throwing if not.
+ *
+ * @private
+ * @param {ShortcodeParserPolicy} policy		The setting to check.
+ */
+function _checkPolicyOption(policy) {
+	if (!_.isPlainObject(policy)) throw new TypeError('policy must be an object');
+	['allow', 'deny'].forEach(name=>{
+		if ((policy[name] !== undefined) && !Array.isArray(policy[name])) throw new TypeError(`policy.${name} must be an array of tag names and selectors`);
+	});
+	['maxTags', 'maxNesting', 'maxOutput'].forEach(name=>_checkLimit(`policy.${name}`, policy[name], 0));
+}
+
+/**
+ * Check the escapeChar and rawTag settings are valid, throwing if not.
+ *
+ * @private
+ * @param {Object} options		The parser options.
+ */
+function _checkEscapeOptions(options) {
+	['escapeChar', 'rawTag'].forEach(name=>{
+		if ((options[name] !== null) && (!_.isString(options[name]) || !options[name])) throw new TypeError(`${name} must be a non-empty string or null`);
+	});
+}
+
+/**
+ * Check an output setting is valid, throwing if not.
+ *
+ * @private
+ * @param {string} output		The setting to check.
+ */
+function _checkOutput(output) {
+	if (outputTypes.indexOf(output) === -1) throw new TypeError(`output must be one of: ${outputTypes.join(', ')}`);
+}
+
+/**
+ * Create a new Shortcode parser instance.
+ *
+ * @class
+ * @public
+ * @param {Object} options					Options to ShortcodeParser function.
+ * @param {string} [options.start='[[']		Start of tag characters.
+ * @param {string} [options.end=']]']		End of tag characters.
+ * @param {integer} [options.maxDepth=10]	Maximum number of times handler
+ *											output can be re-parsed for
+ *											further tags.
+ * @param {string} [options.mode='default']	Parser mode, 'default' or
+ *											'wordpress'.  Wordpress mode
+ *											parses tags as Wordpress does,
+ *											using [ and ] as delimiters.
+ * @param {string|ShortcodeParserSyntax|Array} [options.syntax]	Syntaxes
+ *											of tags to find, each a built-in
+ *											syntax name ('default',
+ *											'wordpress', 'mediawiki', 'liquid'
+ *											or 'hugo') or a syntax definition.
+ *											Defaults to the mode.
+ * @param {string|Function} [options.onError='throw']	What to do when a tag
+ *														fails, see
+ *														ShortcodeParserRenderOptions.
+ * @param {integer} [options.concurrency=Infinity]	Maximum number of
+ *													handlers to run at once
+ *													in a parse.
+ * @param {integer} [options.timeout=0]		Milliseconds to wait for a handler
+ *											(0 for no timeout).
+ * @param {string} [options.output='html']	What handlers return by default,
+ *											'html' (inserted as it is) or
+ *											'text' (escaped for where the
+ *											tag sits).
+ * @param {ShortcodeParserPolicy} [options.policy={}]	Default restrictions
+ *														on parses.
+ * @param {string|null} [options.escapeChar=null]	Characters placed before
+ *													a tag to escape it (eg.
+ *													'\\' for \[[tag]]).  The
+ *													tag is output as it is,
+ *													without the escape
+ *													characters.
+ * @param {boolean} [options.jsonAttributes=false]	Parse attribute values
+ *													that are JSON arrays or
+ *													objects?
+ * @param {string|null} [options.rawTag=null]	Name of a tag marking a raw
+ *												block (eg. 'raw' for
+ *												[[raw]]...[[/raw]]).  Text
+ *												in the block is output as it
+ *												is, without the raw tags.
+ * @returns {ShortcodeParser}		New instance of shortcode parser.
+ */
+function ShortcodeParser(options = defaultOptions) {
+	const tags = new Map();
+	const settings = new Map();
+	const mode = options.mode || 'default';
+	if (!modes.hasOwnProperty(mode)) throw new RangeError(`Unknown parser mode '${mode}'`);
+	const _options = Object.assign({}, defaultOptions, options, modes[mode]);
+	if (_options.maxDepth === undefined) _options.maxDepth = defaultOptions.maxDepth;
+	const finders = _createFinders(((options.syntax === undefined) ? mode : options.syntax), _options);
+	const maxDepth = _options.maxDepth;
+	const _middleware = [];
+	const hooks = {beforeParse: [], afterTag: [], afterParse: []};
+	const removed = new Set();
+	let parent = null;
+	_checkOnError(_options.onError);
+	_checkOutput(_options.output);
+	_checkPolicyOption(_options.policy);
+	_checkEscapeOptions(_options);
+	_checkLimit('concurrency', _options.concurrency, 1);
+	_checkLimit('timeout', _options.timeout, 0);
+	_checkLimit('maxDepth', _options.maxDepth, 0);
+
+	/**
+	 * Find the selectors for the handlers to use on a given tag, in the order
+	 * they should be used.  Named tag handlers are used first, then matching
+	 * regular expression and function selectors by priority (highest first,
+	 * then in the order they were added) and then the catch-all handler ('*').
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag} tag		Tag to find handlers for.
+	 * @returns {Array}						The selectors.
+	 */
+	function _getSelectorChain(tag) {
+		const matching = _getSelectors().filter(selector=>_isSelectorMatch(selector, tag));
+
+		return [].concat(
+			(((tag.tagName !== '*') && exports.has(tag.tagName)) ? [tag.tagName] : []),
+			_.sortBy(matching, selector=>-_findHandler(selector).settings.priority),
+			(exports.has('*') ? ['*'] : [])
+		);
+	}
+
+	/**
+	 * Find the selector for the handler to use on a given tag.
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag} tag				Tag to find handler for.
+	 * @returns {string|RegExp|Function|undefined}	The selector or undefined
+	 *												if no handler found.
+	 */
+	function _getSelector(tag) {
+		return _getSelectorChain(tag)[0];
+	}
+
+	/**
+	 * Find the handler and settings for a selector.  Handlers not added to
+	 * this parser are looked up in the parent parser (if any), unless they
+	 * have been deleted from this parser.
+	 *
+	 * @private
+	 * @param {string|RegExp|Function} selector		Selector for the handler.
+	 * @returns {Object|undefined}					Object with the handler
+	 *												(handler) and its settings
+	 *												(settings), or undefined if
+	 *												not found.
+	 */
+	function _findHandler(selector) {
+		if (tags.has(selector)) return {handler: tags.get(selector), settings: settings.get(selector)};
+		if (parent && !removed.has(selector)) return parent.findHandler(selector);
+	}
+
+	/**
+	 * Get the selectors of all the handlers of this parser, including those
+	 * inherited from the parent parser.  Inherited selectors come first, in
+	 * the order they were added.
+	 *
+	 * @private
+	 * @returns {Array}		The selectors.
+	 */
+	function _getSelectors() {
+		const inherited = (parent ? parent.getSelectors().filter(selector=>!removed.has(selector)) : []);
+		return _.uniq(inherited.concat(Array.from(tags.keys())));
+	}
+
+	/**
+	 * Get the middleware of this parser, after any inherited from the parent
+	 * parser.
+	 *
+	 * @private
+	 * @returns {Function[]}		The middleware.
+	 */
+	function _getMiddleware() {
+		return (parent ? parent.getMiddleware() : []).concat(_middleware);
+	}
+
+	/**
+	 * Get the hooks of the given name for this parser, after any inherited
+	 * from the parent parser.
+	 *
+	 * @private
+	 * @param {string} name			Name of the hooks.
+	 * @returns {Function[]}		The hooks.
+	 */
+	function _getHooks(name) {
+		return (parent ? parent.getHooks(name) : []).concat(hooks[name]);
+	}
+
+	/**
+	 * Handle an error thrown when rendering a tag, according to the onError
+	 * setting for the parse.  Errors are either thrown, or recorded and the
+	 * tag replaced with a fallback.  Fallbacks are not parsed again.
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag} tag			Tag, which failed.
+	 * @param {Error} error						The error.
+	 * @param {ShortcodeParserRun} run			The current parse.
+	 * @param {string|Function} [onError]		What to do with the error,
+	 *											defaults to the parse setting.
+	 * @returns {Promise.<ShortcodeParserReplacer[]>|ShortcodeParserReplacer[]}
+	 */
+	function _handleError(tag, error, run, onError=run.onError) {
+		if (onError === 'throw') return run.flow.reject(error);
+		run.errors.push({tag, error});
+		if (onError === 'keep') return [{replacer: tag.fullMatch, tag, literal: true}];
+		if (onError === 'remove') return [{replacer: '', tag, literal: true}];
+
+		const fallback = onError(tag, error);
+		if (run.flow.sync && _isThenable(fallback)) throw new TypeError(`Error handler for tag '${tag.tagName}' returned a promise, use parse() instead of parseSync()`);
+		return run.flow.then(fallback, replacer=>[{replacer: replacer || '', tag, literal: true}]);
+	}
+
+	/**
+	 * Run the handler for a given tag, rendering its children first if the
+	 * handler asks for it.  The tag is given a next function, which runs the
+	 * next handler in the selectors.  After the last handler, the tag is
+	 * left as it is (with its children rendered) and not parsed again.
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag} tag					Tag to run handler on.
+	 * @param {Array} selectors							Selectors for the
+	 *													handlers to use, in
+	 *													order.
+	 * @param {ShortcodeParserRun} run					The current parse.
+	 * @param {integer} [n=0]							Position in the
+	 *													selectors of the
+	 *													handler to run.
+	 * @param {Object} [state]							State shared along
+	 *													the handlers run on
+	 *													the tag.
+	 * @param {boolean} [raw=false]						Leave text output
+	 *													unescaped?  Used when
+	 *													the handler calling
+	 *													next() escapes it.
+	 * @returns {Promise.<ShortcodeParserReplacer[]>|ShortcodeParserReplacer[]}
+	 */
+	function _renderTag(tag, selectors, run, n=0, state={literal: false}, raw=false) {
+		const flow = run.flow;
+		if (n === selectors.length) {
+			state.literal = true;
+			return flow.then(_renderTags(tag.children, run), results=>[{replacer: _replaceTags(tag.fullMatch, results, [], tag.start).txt, tag}]);
+		}
+
+		const selector = selectors[n];
+		const _settings = _findHandler(selector).settings;
+		const output = _settings.output || _options.output;
+
+		if (tag.rawAttributes) tag.attributes = tag.rawAttributes;
+		let error = (n ? undefined : (_checkChain(tag, maxDepth) || _checkPolicy(tag, run))) || (_settings.attributes ? _applySchema(_settings.attributes, tag) : undefined);
+		if (error) return flow.reject(error);
+
+		tag.selector = selector;
+		tag.next = ()=>{
+			const current = _.pick(tag, ['selector', 'attributes', 'next']);
+			const resume = _releaseSlot(tag, run);
+			const rendering = flow.attempt(()=>_renderTag(tag, selectors, run, n + 1, state, (output === 'text')), error=>flow.then(resume(), ()=>flow.reject(error)));
+			return flow.then(flow.then(rendering, results=>flow.then(resume(), ()=>results)), results=>{
+				Object.assign(tag, current);
+				return results[0].replacer;
+			});
+		};
+
+		let handler = _findHandler(selector).handler;
+		let rendering = flow.resolve();
+		if (parsers.has(_settings.renderContent)) {
+			rendering = _renderContentWith(_settings.renderContent, tag, run);
+		} else if (_settings.renderContent) {
+			rendering = flow.then(_renderTags(tag.children, run), results=>{
+				tag.content = _replaceTags(tag.content, results, [], tag.contentStart).txt;
+			});
+		}
+		return flow.then(rendering, ()=>flow.then(_applyMiddleware(tag, run, ()=>flow.then(
+			(_settings.batch ?
+				_queueBatch(selector, tag, run) :
+				_cacheHandler(selector, tag, ()=>_scheduleHandler(selector, [tag], ()=>_applyHandler(handler.bind({}, (run.policy.sandbox ? _sandboxTag(tag) : tag)), tag, run.params, flow), run), run)
+			),
+			result=>(((output === 'text') && !raw) ? Object.assign(result, {replacer: _escapeOutput(result.replacer, tag.outputContext)}) : result)
+		)), result=>[(n ? result : Object.assign(result, {literal: state.literal}))]));
+	}
+
+	/**
+	 * Render the content of a tag with another parser, before its handler is
+	 * run.  The content is rendered with the parameters, error handling and
+	 * policy of the current parse.
+	 *
+	 * @private
+	 * @param {ShortcodeParser} parser		Parser to render the content with.
+	 * @param {ShortcodeParserTag} tag		Tag to render the content of.
+	 * @param {ShortcodeParserRun} run		The current parse.
+	 * @returns {Promise|undefined}
+	 */
+	function _renderContentWith(parser, tag, run) {
+		const options = {params: run.params, onError: run.onError, policy: run.policy};
+
+		return run.flow.then((run.flow.sync ? parser.renderSync(tag.content, options) : parser.render(tag.content, options)), result=>{
+			result.errors.forEach(error=>run.errors.push(error));
+			tag.content = result.txt;
+		});
+	}
+
+	/**
+	 * Run the middleware around getting the result for a tag.  Each
+	 * middleware is given the tag, a function running the rest of the chain
+	 * (returning the handler output or a promise of it) and the parse
+	 * parameters.
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag} tag		Tag to get the result for.
+	 * @param {ShortcodeParserRun} run		The current parse.
+	 * @param {Function} task				Function getting the result from
+	 *										the handler.
+	 * @returns {Promise.<ShortcodeParserReplacer>|ShortcodeParserReplacer}
+	 */
+	function _applyMiddleware(tag, run, task) {
+		const middleware = _getMiddleware();
+		if (!middleware.length) return task();
+
+		const flow = run.flow;
+		const next = n=>{
+			if (n === middleware.length) return flow.then(task(), result=>result.replacer);
+			const output = middleware[n](tag, ()=>next(n + 1), ...run.params);
+			if (flow.sync && _isThenable(output)) throw new TypeError(`Middleware for tag '${tag.tagName}' returned a promise, use parse() instead of parseSync()`);
+			return output;
+		};
+
+		return flow.then(next(0), replacer=>({replacer: (_.isNil(replacer) ? '' : replacer), tag}));
+	}
+
+	/**
+	 * Run the hooks of the given name on a value, in the order they were
+	 * added.  Each hook is given the value and the parse parameters, and
+	 * returns the new value (or undefined to keep it).
+	 *
+	 * @private
+	 * @param {string} name					Name of the hooks.
+	 * @param {*} value						The value.
+	 * @param {ShortcodeParserRun} run		The current parse.
+	 * @returns {Promise.<*>|*}				The new value.
+	 */
+	function _runHooks(name, value, run) {
+		const flow = run.flow;
+
+		return _getHooks(name).reduce((value, hook)=>flow.then(value, value=>{
+			const result = hook(value, ...run.params);
+			if (flow.sync && _isThenable(result)) throw new TypeError(`Hook '${name}' returned a promise, use parse() instead of parseSync()`);
+			return flow.then(result, result=>((result === undefined) ? value : result));
+		}), value);
+	}
+
+	/**
+	 * Get the result for a tag from the handler cache, or run the handler and
+	 * cache its result.  Handlers without a cache are just run.  Identical
+	 * tags looked up while the first is still pending share its result.
+	 *
+	 * @private
+	 * @param {string|RegExp|Function} selector			Selector for the
+	 *													handler.
+	 * @param {ShortcodeParserTag} tag					Tag to get result for.
+	 * @param {Function} task							Function running the
+	 *													handler.
+	 * @param {ShortcodeParserRun} run					The current parse.
+	 * @returns {Promise.<ShortcodeParserReplacer>|ShortcodeParserReplacer}
+	 */
+	function _cacheHandler(selector, tag, task, run) {
+		const cache = _findHandler(selector).settings.cache;
+		if (!cache) return task();
+
+		const flow = run.flow;
+		const key = JSON.stringify([tag.tagName, cache.key(tag)]);
+		if (cache.pending.has(key)) return cache.pending.get(key).then(replacer=>({replacer, tag}));
+
+		const cached = cache.store.get(key);
+		if (flow.sync && _isThenable(cached)) throw new TypeError(`Cache store for tag '${tag.tagName}' returned a promise, use parse() instead of parseSync()`);
+
+		const result = flow.then(cached, value=>{
+			if (value !== undefined) return {replacer: value, tag};
+			return flow.then(task(), result=>{
+				const stored = cache.store.set(key, String(result.replacer), {ttl: cache.ttl, tagName: tag.tagName});
+				if (flow.sync && _isThenable(stored)) throw new TypeError(`Cache store for tag '${tag.tagName}' returned a promise, use parse() instead of parseSync()`);
+				return flow.then(stored, ()=>result);
+			});
+		});
+		if (!_isThenable(result)) return result;
+
+		const pending = Promise.resolve(result).then(result=>result.replacer).finally(()=>cache.pending.delete(key));
+		cache.pending.set(key, pending);
+		return pending.then(replacer=>({replacer, tag}));
+	}
+
+	/**
+	 * Apply a batch handler to the given tags.
+	 *
+	 * @private
+	 * @param {string|RegExp|Function} selector			Selector for the
+	 *													handler.
+	 * @param {ShortcodeParserTag[]} _tags				Tags to apply the
+	 *													handler to.
+	 * @param {ShortcodeParserRun} run					The current parse.
+	 * @returns {Promise.<ShortcodeParserReplacer[]>|ShortcodeParserReplacer[]}
+	 */
+	function _applyBatch(selector, _tags, run) {
+		const result = _findHandler(selector).handler.apply({}, [(run.policy.sandbox ? _tags.map(_sandboxTag) : _tags)].concat(run.params));
+		if (run.flow.sync && _isThenable(result)) throw new TypeError(`Batch handler for '${selector}' returned a promise, use parse() instead of parseSync()`);
+
+		return run.flow.then(result, replacers=>{
+			if (!Array.isArray(replacers) || (replacers.length !== _tags.length)) throw new TypeError(`Batch handler for '${selector}' must return an array with a result for each tag`);
+			return replacers.map((replacer, n)=>{
+				return {replacer: replacer || '', tag: _tags[n]};
+			});
+		});
+	}
+
+	/**
+	 * Queue a tag for its batch handler.  All the tags queued for a handler
+	 * while a parse pass is running are sent to the handler in one call.
+	 * Synchronous parses call the handler for each tag straight away.
+	 *
+	 * @private
+	 * @param {string|RegExp|Function} selector			Selector for the
+	 *													handler.
+	 * @param {ShortcodeParserTag} tag					Tag to queue.
+	 * @param {ShortcodeParserRun} run					The current parse.
+	 * @returns {Promise.<ShortcodeParserReplacer>|ShortcodeParserReplacer}
+	 */
+	function _queueBatch(selector, tag, run) {
+		if (run.flow.sync) return _applyBatch(selector, [tag], run)[0];
+
+		if (!run.batches.has(selector)) {
+			run.batches.set(selector, []);
+			setImmediate(()=>_dispatchBatch(selector, run));
+		}
+		return new Promise((resolve, reject)=>run.batches.get(selector).push({tag, resolve, reject}));
+	}
+
+	/**
+	 * Send the queued tags for a batch handler to the handler, resolving each
+	 * queued tag with its result.
+	 *
+	 * @private
+	 * @param {string|RegExp|Function} selector			Selector for the
+	 *													handler.
+	 * @param {ShortcodeParserRun} run					The current parse.
+	 */
+	function _dispatchBatch(selector, run) {
+		const queued = run.batches.get(selector);
+		const _tags = queued.map(item=>item.tag);
+		run.batches.delete(selector);
+
+		_scheduleHandler(selector, _tags, ()=>_applyBatch(selector, _tags, run), run).then(
+			results=>queued.forEach((item, n)=>item.resolve(results[n])),
+			error=>queued.forEach(item=>item.reject(error))
+		);
+	}
+
+	/**
+	 * Run a handler within the concurrency limits and timeout for the parse
+	 * and handler.  Synchronous parses run the handler straight away.  The
+	 * slot taken in the limit for the parse is recorded for the tags, so it
+	 * can be given back while the handler waits on tag.next().
+	 *
+	 * @private
+	 * @param {string|RegExp|Function} selector			Selector for the
+	 *													handler.
+	 * @param {ShortcodeParserTag[]} _tags				Tags the handler is
+	 *													for.
+	 * @param {Function} task							Function running the
+	 *													handler.
+	 * @param {ShortcodeParserRun} run					The current parse.
+	 * @returns {Promise.<ShortcodeParserReplacer>|ShortcodeParserReplacer}
+	 */
+	function _scheduleHandler(selector, _tags, task, run) {
+		if (run.flow.sync) return task();
+
+		const _settings = _findHandler(selector).settings;
+		const timeout = ((_settings.timeout === undefined) ? run.timeout : _settings.timeout);
+		if (!run.limiters.has(selector)) run.limiters.set(selector, _createLimiter(_settings.concurrency));
+
+		return run.limiters.get(selector)(()=>run.limit.acquire().then(()=>{
+			const slot = {held: true, waiting: 0, done: false};
+			const previous = _tags.map(tag=>run.slots.get(tag));
+			_tags.forEach(tag=>run.slots.set(tag, slot));
+
+			let promise = Promise.try(task);
+			if (timeout) promise = promise.timeout(timeout, new Promise.TimeoutError(`Handler for tag '${_tags[0].tagName}' timed out after ${timeout}ms`));
+			return promise.finally(()=>{
+				_tags.forEach((tag, n)=>run.slots.set(tag, previous[n]));
+				slot.done = true;
+				if (slot.held) run.limit.release();
+			});
+		}));
+	}
+
+	/**
+	 * Give back the slot in the limit for the parse, held by the handler
+	 * running for a tag, while it waits on the next handler (see tag.next()).
+	 * Otherwise the next handler could wait forever for a slot.
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag} tag			The tag.
+	 * @param {ShortcodeParserRun} run			The current parse.
+	 * @returns {Function}						Function taking the slot back,
+	 *											returning a promise resolving
+	 *											once it is taken (or undefined
+	 *											if there is nothing to wait for).
+	 */
+	function _releaseSlot(tag, run) {
+		const slot = (run.flow.sync ? undefined : run.slots.get(tag));
+		if (!slot || slot.done) return _.noop;
+		if (!slot.waiting++ && slot.held) {
+			slot.held = false;
+			run.limit.release();
+		}
+
+		return ()=>{
+			if (--slot.waiting || slot.held || slot.done) return;
+			return run.limit.acquire().then(()=>{
+				if (slot.done || slot.waiting) return run.limit.release();
+				slot.held = true;
+			});
+		};
+	}
+
+	/**
+	 * Run set handlers for given tags.  Tags without a handler are left as
+	 * they are but their children are still rendered.
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag[]} _tags		The tags to run handlers on.
+	 * @param {ShortcodeParserRun} run			The current parse.
+	 * @returns {Promise.<ShortcodeParserReplacer[]>|ShortcodeParserReplacer[]}
+	 */
+	function _renderTags(_tags, run) {
+		const flow = run.flow;
+
+		return flow.then(flow.all(_tags.map(tag=>{
+			if (tag.verbatim !== undefined) return flow.resolve([{replacer: tag.verbatim, tag, literal: true}]);
+			let selectors = _getSelectorChain(tag).filter(selector=>_isAllowed(run.policy, selector, tag));
+			let selector = selectors[0];
+			if (tag.escaped) return flow.resolve((selector === undefined) ? [] : [{replacer: tag.fullMatch.slice(1, -1), tag, literal: true}]);
+			if (selector === undefined) return _renderTags(tag.children, run);
+			return flow.attempt(()=>_renderTag(tag, selectors, run), error=>_handleError(tag, error, run, _findHandler(selector).settings.onError));
+		})), _.flatten);
+	}
+
+	/**
+	 * Run set handlers for given tags, replacing text content as the handler
+	 * return content.
+	 *
+	 * @private
+	 * @param {string} txt						The full text containing the tags to
+	 *											do the replacements on.
+	 * @param {ShortcodeParserTag[]} _tags		The tags to run handlers on.
+	 * @param {ShortcodeParserOrigin[]} origins	Handler outputs already in the
+	 *											text.
+	 * @param {ShortcodeParserRun} run			The current parse.
+	 * @returns {Promise.<Object>|Object}		Promise resolving on completion of
+	 *											tag replacements to an object
+	 *											with the new text (txt) and the
+	 *											handler outputs (origins).
+	 */
+	function _runHandlers(txt, _tags, origins, run) {
+		return run.flow.then(_renderTags(_tags, run), results=>{
+			if (run.segments) run.segments = _moveSegments(run.segments, results);
+			return _replaceTags(txt, results, origins);
+		});
+	}
+
+	/**
+	 * Get the top-level tags of a parse pass, which should wait for other
+	 * tags to render first (see the after handler option).  A tag waits
+	 * while tags it comes after are still in the text, outside of the
+	 * top-level tag it is in.  As the content of a tag can be rendered in
+	 * the same pass (see the renderContent handler option), the whole
+	 * top-level tag waits.
+	 *
+	 * @private
+	 * @param {ShortcodeParserTag[]} _tags		The top-level tags.
+	 * @returns {ShortcodeParserTag[]}			The tags to leave for a later
+	 *											pass.
+	 */
+	function _getWaitingTags(_tags) {
+		if (!_getSelectors().some(selector=>_findHandler(selector).settings.after.length)) return [];
+
+		const count = (counts, name)=>counts.set(name, (counts.get(name) || 0) + 1);
+		const all = new Map();
+		const buckets = _tags.map(top=>{
+			const bucket = {top, after: [], names: new Map()};
+			const collect = tag=>{
+				let selector = (tag.escaped ? undefined : _getSelector(tag));
+				if (selector !== undefined) {
+					bucket.after = bucket.after.concat(_findHandler(selector).settings.after);
+					count(bucket.names, tag.tagName);
+					count(all, tag.tagName);
+				}
+				tag.children.forEach(collect);
+			};
+			collect(top);
+			return bucket;
+		});
+
+		return buckets.filter(bucket=>(!bucket.top.escaped && bucket.after.some(name=>((all.get(name) || 0) > (bucket.names.get(name) || 0))))).map(bucket=>bucket.top);
+	}
+
+	/**
+	 * Parse given text for tags, running handlers and then re-parsing the
+	 * result until no more changes are made.
+	 *
+	 * @private
+	 * @param {string} txt							Text to parse.
+	 * @param {ShortcodeParserOrigin[]} origins		Handler outputs already in
+	 *												the text.
+	 * @param {integer} depth						Current re-parse depth.
+	 * @param {ShortcodeParserRun} run				The current parse.
+	 * @param {string} [before='']					Text before the text to
+	 *												parse, used to find the
+	 *												output context of tags.
+	 * @param {boolean} [force=false]				Render tags waiting for
+	 *												other tags anyway?  Used
+	 *												when the last pass made no
+	 *												changes.
+	 * @returns {Promise.<string>|string}			Promise resolving to new
+	 *												parsed text.
+	 */
+	function _parseText(txt, origins, depth, run, before='', force=false) {
+		let _tags = _parse(txt, finders, exports);
+		const _txt = before + txt;
+		const spans = _parse(before, finders, exports).concat(_tags.map(tag=>({start: before.length + tag.start, end: before.length + tag.end})));
+		let html;
+		_tags.forEach(tag=>{
+			html = _scanHtml(_txt, before.length + tag.start, spans, html);
+			tag.outputContext = _getOutputContext(_txt, html);
+			tag.context = run.context;
+		});
+		_tags = _buildTree(txt, _assignOrigins(_tags, origins, depth), finders);
+
+		const waiting = (force ? [] : _getWaitingTags(_tags));
+		const _origins = origins.concat(waiting.map(tag=>({start: tag.start, end: tag.end, chain: tag.chain})));
+		_tags = _.difference(_tags, waiting);
+
+		return run.flow.then(run.flow.then(_runHooks('afterTag', _tags, run), _tags=>_runHandlers(txt, _tags, _origins, run)), parsed=>{
+			_checkOutputLength(parsed.txt.length, run.policy);
+			if ((txt === parsed.txt) && !waiting.length) return parsed.txt;
+			return _parseText(parsed.txt, parsed.origins, depth + 1, run, before, (txt === parsed.txt));
+		});
+	}
+
+	/**
+	 * Create the state object for a single parse.
+	 *
+	 * @private
+	 * @param {ShortcodeParserFlow} flow			Flow to run the parse in.
+	 * @param {ShortcodeParserRenderOptions} options	Options for the parse.
+	 * @returns {ShortcodeParserRun}
+	 */
+	function _createRun(flow, options) {
+		const _runOptions = _.defaults(_.pick(options, ['onError', 'concurrency', 'timeout', 'policy']), _options);
+		_checkOnError(_runOptions.onError);
+		if ((options.context !== undefined) && !_.isObject(options.context)) throw new TypeError('context must be an object');
+		_checkPolicyOption(_runOptions.policy);
+		_checkLimit('concurrency', _runOptions.concurrency, 1);
+		_checkLimit('timeout', _runOptions.timeout, 0);
+
+		return {
+			flow,
+			params: ((_runOptions.policy.sandbox || !options.params) ? [] : options.params),
+			onError: _runOptions.onError,
+			errors: [],
+			timeout: _runOptions.timeout,
+			limit: _createLimiter(_runOptions.concurrency),
+			slots: new WeakMap(),
+			limiters: new Map(),
+			batches: new Map(),
+			policy: _runOptions.policy,
+			tagCount: 0,
+			segments: null,
+			context: ((_runOptions.policy.sandbox || !options.context) ? {} : options.context)
+		};
+	}
+
+	/**
+	 * Parse given text, returning the parsed text and a report of the parse.
+	 *
+	 * @private
+	 * @param {string} txt								Text to parse.
+	 * @param {ShortcodeParserFlow} flow				Flow to run the parse in.
+	 * @param {ShortcodeParserRenderOptions} options	Options for the parse.
+	 * @returns {Promise.<ShortcodeParserResult>|ShortcodeParserResult}
+	 */
+	function _render(txt, flow, options) {
+		const run = _createRun(flow, options);
+		const sourceMap = _checkSourceMapOption(options.sourceMap);
+		let source, output;
+
+		const parsing = flow.then(_runHooks('beforeParse', txt, run), txt=>{
+			if (sourceMap) run.segments = [{start: 0, end: txt.length, tag: null, source: 0}];
+			source = txt;
+			return _parseText(txt, [], 0, run);
+		});
+		return flow.then(flow.then(parsing, parsedTxt=>_runHooks('afterParse', output = parsedTxt, run)), parsedTxt=>{
+			const result = {txt: parsedTxt, errors: run.errors, context: run.context};
+			if (!sourceMap) return result;
+			if (parsedTxt !== output) return Object.assign(result, {map: null, ranges: null});
+
+			return Object.assign(result, {
+				map: _createSourceMap(source, output, run.segments, sourceMap),
+				ranges: run.segments.filter(segment=>segment.tag).map(segment=>{
+					let root = segment.tag.chain[0] || segment.tag;
+					return {start: segment.start, end: segment.end, tag: segment.tag, source: {start: root.start, end: root.end}};
+				})
+			});
+		});
+	}
+
+	/**
+	 * Create a transform stream, which renders the text written to it.
+	 * Text is buffered only until the tags in it are complete.  Each
+	 * top-level tag is rendered as soon as it is complete and the output is
+	 * pushed, in order, as soon as its handlers resolve.
+	 *
+	 * @private
+	 * @param {Object} options			Options for the parse, see
+	 *									ShortcodeParser.createParseStream().
+	 * @returns {Transform}				The stream.
+	 */
+	function _createParseStream(options) {
+		const run = _createRun(_asyncFlow, options);
+		const lookahead = ((options.lookahead === undefined) ? defaultStreamOptions.lookahead : options.lookahead);
+		const decoder = new StringDecoder('utf8');
+		let buffered = '';
+		let before = '';
+		let length = 0;
+		_checkLimit('lookahead', lookahead, 0);
+
+		const render = (end, callback)=>{
+			const txt = buffered;
+			const _tags = _parse(txt, finders, exports);
+			const root = _buildTree(txt, _tags, finders);
+			const split = (end ? txt.length : _findStreamSplit(txt, _tags, root, finders, lookahead));
+			const _txt = before + txt;
+			const spans = _parse(before, finders, exports).concat(_tags.map(tag=>({start: before.length + tag.start, end: before.length + tag.end})));
+			const pieces = [];
+			let position = 0;
+			let html;
+
+			root.filter(tag=>(tag.end <= split)).forEach(tag=>{
+				html = _scanHtml(_txt, before.length + tag.start, spans, html);
+				let _before = ((html.open === -1) ? '' : _txt.substring(html.open, before.length + tag.start));
+				pieces.push(txt.substring(position, tag.start), ((tag.verbatim !== undefined) ? tag.verbatim : Promise.try(()=>_parseText(txt.substring(tag.start, tag.end), [], 0, run, _before))));
+				position = tag.end;
+			});
+			pieces.push(txt.substring(position, split));
+			buffered = txt.substring(split);
+			before = _getOpenHtmlTag(_txt.substring(0, before.length + split), spans);
+
+			// Handle rejections of tags waiting behind an earlier one.
+			Promise.all(pieces).catch(_.noop);
+			Promise.each(pieces, piece=>{
+				_checkOutputLength(length += piece.length, run.policy);
+				if (piece !== '') stream.push(piece);
+			}).then(()=>callback(), callback);
+		};
+
+		const stream = new Transform({
+			decodeStrings: false,
+			transform: (chunk, encoding, callback)=>{
+				buffered += (Buffer.isBuffer(chunk) ? decoder.write(chunk) : chunk);
+				render(false, callback);
+			},
+			flush: callback=>{
+				buffered += decoder.end();
+				render(true, callback);
+			}
+		});
+		stream.errors = run.errors;
+		stream.context = run.context;
+
+		return stream;
+	}
+
+	const exports = {
+		/**
+		 * Add a new handler to the parser for given tag name.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string|Function|RegExp} name			Tag name to set handler for.
+		 * @param {function} handler					Handler function to fire on tag.
+		 * @param {Object|boolean} [options={}]			Handler options or
+		 *												throwOnAlreadySet value.
+		 * @param {boolean} [options.throwOnAlreadySet=true]	Throw error if tage already exists?
+		 * @param {number} [options.priority=0]				Order of regular expression and function selectors matching the same
+		 *														tag, highest first.
+		 * @param {string|string[]} [options.after=[]]		Names of tags to render before this handler runs.  Matching tags
+		 *														wait until no tags of those names are left in the text.
+		 * @param {boolean|ShortcodeParser} [options.renderContent=false]	Render nested tags before firing handler?  Given
+		 *														a parser, the content is rendered with that parser.
+		 * @param {Object} [options.attributes]				Attribute schema, an object of ShortcodeParserAttributeSchema.
+		 * @param {string|Function} [options.onError]			What to do when this handler fails, overriding the parse setting.
+		 * @param {integer} [options.concurrency=Infinity]		Maximum number of calls to this handler to run at once in a parse.
+		 * @param {integer} [options.timeout]					Milliseconds to wait for this handler, overriding the parse setting.
+		 * @param {boolean} [options.batch=false]				Is this a batch handler?  Batch handlers are given an array of all
+		 * 														the matching tags in a parse pass and return an array of results.
+		 * @param {string} [options.output]						What the handler returns, 'html' (inserted as it is) or 'text'
+		 *														(escaped for where the tag sits).  Defaults to the parser output option.
+		 * @param {ShortcodeParserCacheOptions|boolean} [options.cache=false]	Cache handler results?  Results are
+		 *														cached by tag name and a key (see ShortcodeParserCacheOptions).
+		 * @return {function}							The handler function returned.
 		 */
-		add: (name, handler, throwOnAlreadySet=true)=> {
-			if (exports.has(name) && throwOnAlreadySet) throw new Error(`Tag '${name}' already exists`);
+		add: (name, handler, options={})=> {
+			let _settings = Object.assign({}, defaultHandlerOptions, (_.isBoolean(options) ? {throwOnAlreadySet: options} : options));
+			if (exports.has(name) && _settings.throwOnAlreadySet) throw new Error(`Tag '${name}' already exists`);
 			if (!_.isFunction(handler)) throw new TypeError(`Cannot assign a non function as handler method for '${name}'`);
 			if (!_.isString(name) && !_.isRegExp(name) && !_.isFunction(name)) throw new TypeError('Cannot add handler if the reference is not a string, regular expression or function. Reference of type: ' + (typeof name) + ', was given.');
+			if (_settings.attributes) _checkSchema(name, _settings.attributes);
+			if (_settings.onError !== undefined) _checkOnError(_settings.onError);
+			if (_settings.output !== undefined) _checkOutput(_settings.output);
+			_settings.cache = _checkCacheOption(name, _settings.cache, _settings.batch);
+			_checkLimit('concurrency', _settings.concurrency, 1);
+			_checkLimit('timeout', _settings.timeout, 0);
+			if (!_.isFinite(_settings.priority)) throw new TypeError(`priority for '${name}' must be a number`);
+			_settings.after = _.castArray(_settings.after);
+			if (!_settings.after.every(_.isString)) throw new TypeError(`after for '${name}' must be a tag name or an array of tag names`);
+			if (!_.isBoolean(_settings.renderContent) && !parsers.has(_settings.renderContent)) throw new TypeError(`renderContent for '${name}' must be a boolean or a parser`);
+			removed.delete(name);
 			tags.set(name, handler);
+			settings.set(name, _settings);
 			return exports.get(name);
 		},
 
@@ -345,7 +3194,7 @@ function ShortcodeParser(options = defaultOptions) {
 		 * @param {string} name			The tag to look for a handler on.
 		 * @returns {boolean}			Does it exist?
 		 */
-		has: name=>tags.has(name),
+		has: name=>!!_findHandler(name),
 
 		/**
 		 * Delete the handler for given tag name.
@@ -357,7 +3206,10 @@ function ShortcodeParser(options = defaultOptions) {
 		 */
 		delete: name=> {
 			if (!exports.has(name)) throw new RangeError(`Tag '${name}' does not exist`);
-			return tags.delete(name);
+			removed.add(name);
+			settings.delete(name);
+			tags.delete(name);
+			return true;
 		},
 
 		/**
@@ -370,9 +3222,71 @@ function ShortcodeParser(options = defaultOptions) {
 		 */
 		get: name=> {
 			if (!exports.has(name)) throw new RangeError(`Tag '${name}' does not exist`);
-			return tags.get(name);
+			return _findHandler(name).handler;
+		},
+
+		/**
+		 * Add middleware, run around every handler, or parse hooks.  Middleware
+		 * is given the tag, a next function and the parse parameters.  Calling
+		 * next runs the rest of the middleware and the handler, returning
+		 * the output (or a promise of it in parse()).  The middleware returns
+		 * the output to use, so it can log, check, change or replace it.
+		 * Middleware and hooks run in the order they were added.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {Function|ShortcodeParserHooks} middleware	Middleware
+		 *														function or
+		 *														object of
+		 *														hooks.
+		 * @returns {ShortcodeParser}							The parser.
+		 */
+		use: middleware=>{
+			if (_.isFunction(middleware)) {
+				_middleware.push(middleware);
+				return exports;
+			}
+			if (!_.isPlainObject(middleware)) throw new TypeError('Middleware must be a function or an object of hooks');
+			_.forOwn(middleware, (hook, name)=>{
+				if (!hooks.hasOwnProperty(name)) throw new TypeError(`Unknown hook '${name}', hooks are: ${Object.keys(hooks).join(', ')}`);
+				if (!_.isFunction(hook)) throw new TypeError(`Hook '${name}' must be a function`);
+			});
+			_.forOwn(middleware, (hook, name)=>hooks[name].push(hook));
+			return exports;
+		},
+
+		/**
+		 * Create a child parser, which inherits the handlers, middleware and
+		 * hooks of this parser.  Handlers can be added to, overridden in
+		 * (with throwOnAlreadySet false) or deleted from the child without
+		 * changing this parser.  Handlers added to this parser later are also
+		 * inherited.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {Object} [childOptions={}]	Options for the child, merged
+		 *										over the options of this parser
+		 *										(see ShortcodeParser).
+		 * @returns {ShortcodeParser}			The child parser.
+		 */
+		extend: (childOptions={})=>{
+			const child = ShortcodeParser(Object.assign({}, options, childOptions));
+			parsers.get(child).inherit(parsers.get(exports));
+			return child;
 		},
 
+		/**
+		 * Remove the cached handler results for given tag name.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string} tagName		The tag name to remove results for.
+		 * @returns {Promise}			Promise resolving when removed.
+		 */
+		invalidate: tagName=>Promise.all(_.uniq(
+			_getSelectors().map(selector=>_findHandler(selector).settings).filter(_settings=>_settings.cache).map(_settings=>_settings.cache.store)
+		).map(store=>store.invalidate(tagName))),
+
 		/**
 		 * Parse given text for tags, running handlers where handlers are
 		 * defined and returning parsed text.
@@ -384,18 +3298,196 @@ function ShortcodeParser(options = defaultOptions) {
 		 * @returns {Promise.<string>}		Promise resolving to new
 		 *									parsed text.
 		 */
-		parse: (txt, ...params)=> {
-			let tags = _filterOverlappingTags(_fixEndTags(txt, _parse(txt, finder, exports)));
+		parse: (txt, ...params)=>exports.render(txt, {params}).then(result=>result.txt),
 
-			return _runHandlers(txt, tags, params).then(parsedTxt=> {
-				if (txt !== parsedTxt) return exports.parse(parsedTxt, finder, exports);
-				return parsedTxt;
-			});
-		}
+		/**
+		 * Parse given text for tags synchronously, running handlers where
+		 * handlers are defined and returning parsed text.  Handlers must
+		 * return their result directly, an error is thrown if one returns a
+		 * promise.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string} txt				Text to parse.
+		 * @param {Array} [params=[]]		Parameters to pass to the handlers.
+		 * @returns {string}				The new parsed text.
+		 */
+		parseSync: (txt, ...params)=>exports.renderSync(txt, {params}).txt,
+
+		/**
+		 * Get all the tags in the given text, without running any handlers.
+		 * Start and end tags are returned separately, in the order they
+		 * appear, with their position and line/column information.  Tags
+		 * without handlers are included.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string} txt					Text to get tags from.
+		 * @returns {ShortcodeParserTag[]}		The tags.
+		 */
+		tokenize: txt=>{
+			const locate = _createLocator(txt);
+			return _parse(txt, finders, exports).map(tag=>_locate(tag, locate));
+		},
+
+		/**
+		 * Parse the given text into a document tree, without running any
+		 * handlers.  The tree contains text and tag nodes, tags nested in
+		 * other tags are children of that tag.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string} txt					Text to parse.
+		 * @returns {ShortcodeParserNode}		The root node.
+		 */
+		extract: txt=>{
+			const tree = _buildTree(txt, _parse(txt, finders, exports), finders);
+			return {type: 'root', children: _createNodes(txt, tree, 0, txt.length, _createLocator(txt), tag=>(_getSelector(tag) !== undefined))};
+		},
+
+		/**
+		 * Check the given text for malformed tags, without running any
+		 * handlers.  Returns diagnostics for end tags without a start tag,
+		 * tags crossing each other, unclosed tags, repeated attribute names
+		 * and tags without a handler.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string} txt							Text to check.
+		 * @returns {ShortcodeParserDiagnostic[]}		The problems found, in
+		 *												the order they appear.
+		 */
+		validate: txt=>{
+			const locate = _createLocator(txt);
+			return _validate(txt, _parse(txt, finders, exports), finders, tag=>(_getSelector(tag) !== undefined)).map(diagnostic=>_locate(diagnostic, locate));
+		},
+
+		/**
+		 * Convert a document tree (or nodes from one), as returned by
+		 * extract(), back into text.  Unedited nodes give back exactly the
+		 * text they were parsed from.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {ShortcodeParserNode|ShortcodeParserNode[]} ast		The
+		 *																tree or
+		 *																nodes.
+		 * @returns {string}											The text.
+		 */
+		stringify: ast=>_stringifyNodes(_.castArray(ast), finders),
+
+		/**
+		 * Parse given text for tags, running handlers where handlers are
+		 * defined.  Resolves to the parsed text and a report of any errors,
+		 * which were handled according to the onError setting.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string} txt										Text to parse.
+		 * @param {ShortcodeParserRenderOptions} [options={}]		Options for this parse.
+		 * @returns {Promise.<ShortcodeParserResult>}				Promise resolving to
+		 *															the parse result.
+		 */
+		render: (txt, options={})=>Promise.try(()=>_render(txt, _asyncFlow, options)),
+
+		/**
+		 * Parse given text for tags synchronously, running handlers where
+		 * handlers are defined.  Returns the parsed text and a report of any
+		 * errors, which were handled according to the onError setting.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {string} txt										Text to parse.
+		 * @param {ShortcodeParserRenderOptions} [options={}]		Options for this parse.
+		 * @returns {ShortcodeParserResult}							The parse result.
+		 */
+		renderSync: (txt, options={})=>_render(txt, _syncFlow, options),
+
+		/**
+		 * Create a transform stream, which parses the text written to it.
+		 * Text is only buffered until the tags in it are complete and
+		 * rendered output is pushed, in order, as soon as each tag's handlers
+		 * resolve.  Errors handled according to the onError setting are
+		 * reported in the errors property of the stream and the parse context
+		 * is in its context property.  Tags only wait for the tags given in
+		 * their after option within the same top-level tag.
+		 *
+		 * @public
+		 * @memberof ShortcodeParser
+		 * @param {ShortcodeParserRenderOptions} [options={}]		Options for the parse.
+		 * @param {integer} [options.lookahead=16384]				Number of characters to wait for a
+		 *															start tag to be closed, before
+		 *															treating it as self-closing.
+		 * @returns {Transform}										The stream.
+		 */
+		createParseStream: (options={})=>_createParseStream(options)
 	};
 
+	parsers.set(exports, {
+		findHandler: _findHandler,
+		getSelectors: _getSelectors,
+		getMiddleware: _getMiddleware,
+		getHooks: _getHooks,
+		inherit: _parent=>(parent = _parent)
+	});
+
 	return Object.freeze(exports);
 }
 
+/**
+ * Combine attributes with a set of known attributes and fill in defaults when
+ * needed, like Wordpress's shortcode_atts().  Attributes not in the defaults
+ * are dropped.
+ *
+ * @public
+ * @memberof ShortcodeParser
+ * @param {Object} pairs			The known attributes and their defaults.
+ * @param {Object} [atts={}]		The tag attributes.
+ * @returns {Object}				Combined and filtered attributes.
+ */
+ShortcodeParser.shortcodeAtts = (pairs, atts={})=>_.mapValues(pairs, (value, name)=>(atts.hasOwnProperty(name) ? atts[name] : value));
+
+/**
+ * Escape text for use in HTML, replacing &, <, >, " and ' with entities.
+ *
+ * @public
+ * @memberof ShortcodeParser
+ * @param {string} txt			Text to escape.
+ * @returns {string}			Escaped text.
+ */
+ShortcodeParser.escapeHtml = _escapeHtml;
+
+/**
+ * Escape text for use in a quoted HTML attribute value.
+ *
+ * @public
+ * @memberof ShortcodeParser
+ * @param {string} txt			Text to escape.
+ * @returns {string}			Escaped text.
+ */
+ShortcodeParser.escapeAttribute = _escapeAttribute;
+
+/**
+ * Escape a URL for use in a quoted HTML attribute value (eg. href).  URLs
+ * with unsafe schemes (eg. javascript:) are replaced with 'about:invalid'.
+ *
+ * @public
+ * @memberof ShortcodeParser
+ * @param {string} url			URL to escape.
+ * @returns {string}			Escaped URL.
+ */
+ShortcodeParser.escapeUrl = url=>_escapeAttribute(_sanitizeUrl(url));
+
+/**
+ * Create an in-memory cache store for handler results, which removes the
+ * least recently used entries when full.
+ *
+ * @public
+ * @memberof ShortcodeParser
+ * @param {Object} [options={}]			Options for the store.
+ * @param {integer} [options.max=1000]	Maximum number of entries.
+ * @returns {ShortcodeParserCacheStore}	The store.
+ */
+ShortcodeParser.createMemoryStore = _createMemoryStore;
 
-module.exports = ShortcodeParser;
\ No newline at end of file
+module.exports = ShortcodeParser;
@@ -0,0 +1,106 @@
+/* jshint node: true, mocha: true */
+/* global chai */
+
+
+'use strict';
+
+const Promise = require('bluebird');
+const PassThrough = require('stream').PassThrough;
+const ShortcodeCli = require('../cli');
+const chai = require('chai');
+const assert = chai.assert;
+
+chai.use(require("chai-as-promised"));
+
+
+/**
+ * Run the command-line tool with the given arguments and stdin text,
+ * recording what it writes.
+ *
+ * @private
+ * @param {string[]} argv				The arguments.
+ * @param {string} [stdin='']			Text to read from stdin.
+ * @returns {Promise.<Object>}			Promise resolving to an object with the
+ *										exit code (code) and the text written
+ *										to stdout and stderr.
+ */
+function runCli(argv, stdin='') {
+	const output = {stdout: '', stderr: ''};
+	const io = {stdin: new PassThrough(), cwd: __dirname};
+
+	['stdout', 'stderr'].forEach(name=>{
+		io[name] = {write: txt=>(output[name] += txt)};
+	});
+	io.stdin.end(stdin);
+
+	return ShortcodeCli(argv, io).then(code=>Object.assign(output, {code}));
+}
+
+
+describe('ShortcodeCli: The shortcode-insert command-line tool.', ()=>{
+	it('Documents should be rendered from stdin or files, using the handlers module.', ()=>{
+		return Promise.all([
+			runCli(['--handlers', './fixtures/handlers.js'], '[[b]]stdin[[/b]]').then(result=>{
+				assert.equal(result.code, 0);
+				assert.equal(result.stdout, '<b>stdin</b>');
+			}),
+			runCli(['render', '--handlers=./fixtures/handlers.js', '--start={{', '--end=}}'], '{{b}}x{{/b}} [[b]]').then(result=>{
+				assert.equal(result.stdout, '<b>x</b> [[b]]');
+			})
+		]);
+	});
+
+	it('Failing tags should be reported with their location and give an exit code of 1.', ()=>{
+		return runCli(['--handlers', './fixtures/handlers.js', 'fixtures/document.txt']).then(result=>{
+			assert.equal(result.code, 1);
+			assert.equal(result.stdout, 'Hello <b>world</b>\n[[fail]]\n');
+			assert.equal(result.stderr, 'fixtures/document.txt:2:1: Broken\n');
+		});
+	});
+
+	it('The tags command should list the tags in each document as JSON.', ()=>{
+		return runCli(['tags', '--handlers', './fixtures/handlers.js', 'fixtures/document.txt', '-'], '[[x a=1]]').then(result=>{
+			const documents = JSON.parse(result.stdout);
+
+			assert.equal(result.code, 0);
+			assert.deepEqual(documents.map(document=>document.file), ['fixtures/document.txt', '-']);
+			assert.deepEqual(documents[0].tags.map(tag=>tag.tagName), ['b', 'fail']);
+			assert.deepEqual(documents[0].tags[1].loc.start, {line: 2, column: 0});
+			assert.deepEqual(documents[1].tags[0].attributes, {a: '1', 1: {a: '1'}});
+			assert.isFalse(documents[1].tags[0].handled);
+		});
+	});
+
+	it('The check command should report the problems found by validate().', ()=>{
+		return Promise.all([
+			runCli(['check', '--handlers', './fixtures/handlers.js'], '[[b]]x[[/b]]\n[[x]] [[/b]] [[/y]]').then(result=>{
+				assert.equal(result.code, 1);
+				assert.equal(result.stdout, [
+					'-:2:1: warning: Tag \'x\' has no handler (unknown-tag)',
+					'-:2:7: error: End tag \'b\' has no start tag (unmatched-end-tag)',
+					'-:2:14: error: End tag \'y\' has no start tag (unmatched-end-tag)',
+					''
+				].join('\n'));
+			}),
+			runCli(['check', '--handlers', './fixtures/handlers.js', 'fixtures/document.txt']).then(result=>{
+				assert.equal(result.code, 0);
+				assert.equal(result.stdout, '');
+			})
+		]);
+	});
+
+	it('Usage errors should be reported with an exit code of 2.', ()=>{
+		return Promise.all([
+			runCli(['--bogus']).then(result=>{
+				assert.equal(result.code, 2);
+				assert.equal(result.stderr, 'shortcode-insert: Unknown option \'--bogus\'\n');
+			}),
+			runCli(['--start']).then(result=>assert.equal(result.code, 2)),
+			runCli(['missing.txt']).then(result=>assert.equal(result.code, 2)),
+			runCli(['--help']).then(result=>{
+				assert.equal(result.code, 0);
+				assert.match(result.stdout, /^Usage: shortcode-insert/);
+			})
+		]);
+	});
+});
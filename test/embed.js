@@ -0,0 +1,169 @@
+/* jshint node: true, mocha: true */
+/* global chai */
+
+
+'use strict';
+
+const Promise = require('bluebird');
+const http = require('http');
+const Shortcode = require('../');
+const ShortcodeEmbed = require('../embed');
+const chai = require('chai');
+const assert = chai.assert;
+
+chai.use(require("chai-as-promised"));
+
+
+/**
+ * Create a parser with the embed handlers added and a stub http layer,
+ * which records the requested urls.
+ *
+ * @private
+ * @param {Object} [options={}]		Options for the embed handlers.
+ * @returns {Object}				Object with the parser and requested urls.
+ */
+function createEmbedParser(options={}) {
+	const parser = Shortcode();
+	const requests = [];
+	const providers = ShortcodeEmbed(parser, Object.assign({
+		http: url=>{
+			requests.push(url);
+			return Promise.resolve(JSON.stringify({html: '<blockquote>Tweet</blockquote>'}));
+		}
+	}, options));
+
+	return {parser, providers, requests};
+}
+
+
+describe('ShortcodeEmbed: Add embed handlers to a shortcode parser.', ()=>{
+	it('Embed tags should be replaced with the embed for their url.', ()=>{
+		const embed = createEmbedParser();
+
+		return Promise.all([
+			assert.eventually.equal(
+				embed.parser.parse('[[embed https://www.youtube.com/watch?v=dQw4w9WgXcQ maxwidth=320]]'),
+				'<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="320" height="180" frameborder="0" allowfullscreen></iframe>'
+			),
+			assert.eventually.equal(
+				embed.parser.parse('[[embed]]https://vimeo.com/76979871[[/embed]]'),
+				'<iframe src="https://player.vimeo.com/video/76979871" width="640" height="360" frameborder="0" allowfullscreen></iframe>'
+			),
+			assert.eventually.equal(
+				embed.parser.parse('[[embed url="https://gist.github.com/octocat/6cad326836d38bd3a7ae"]]'),
+				'<script src="https://gist.github.com/octocat/6cad326836d38bd3a7ae.js"></script>'
+			),
+			assert.eventually.equal(
+				embed.parser.parse('[[embed url=https://example.com/ url=https://vimeo.com/76979871]]'),
+				'<iframe src="https://player.vimeo.com/video/76979871" width="640" height="360" frameborder="0" allowfullscreen></iframe>'
+			)
+		]);
+	});
+
+	it('oEmbed providers should be requested via the http layer.', ()=>{
+		const embed = createEmbedParser();
+
+		return embed.parser.parse('[[embed https://x.com/jack/status/20 maxwidth=400]]').then(parsedTxt=>{
+			assert.equal(parsedTxt, '<blockquote>Tweet</blockquote>');
+			assert.deepEqual(embed.requests, ['https://publish.twitter.com/oembed?url=https%3A%2F%2Fx.com%2Fjack%2Fstatus%2F20&format=json&maxwidth=400']);
+		});
+	});
+
+	it('Bare urls with a known provider should be embedded when enabled.', ()=>{
+		const embed = createEmbedParser({bareUrls: true});
+		const plain = createEmbedParser();
+		const txt = '[[https://youtu.be/dQw4w9WgXcQ]] [[https://example.com/]]';
+
+		return Promise.all([
+			assert.eventually.equal(embed.parser.parse(txt), '<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="640" height="360" frameborder="0" allowfullscreen></iframe> [[https://example.com/]]'),
+			assert.eventually.equal(plain.parser.parse(txt), txt)
+		]);
+	});
+
+	it('Unknown urls, missing urls and failed requests should fail the tag.', ()=>{
+		const embed = createEmbedParser({http: ()=>Promise.reject(new Error('Offline'))});
+
+		return embed.parser.render('[[embed https://example.com/]] [[embed]] [[embed https://twitter.com/jack/status/20]]', {onError: 'keep'}).then(result=>{
+			assert.equal(result.txt, '[[embed https://example.com/]] [[embed]] [[embed https://twitter.com/jack/status/20]]');
+			assert.sameMembers(result.errors.map(error=>error.error.message), [
+				'No embed provider for url \'https://example.com/\'',
+				'Tag \'embed\' needs a url to embed',
+				'Offline'
+			]);
+		});
+	});
+
+	it('Embed handlers should be added with the given tag name and handler options.', ()=>{
+		const embed = createEmbedParser({tagName: 'video', handler: {cache: true}});
+
+		return embed.parser.parse('[[video https://x.com/jack/status/20]]').then(()=>embed.parser.parse('[[video https://x.com/jack/status/20]]')).then(parsedTxt=>{
+			assert.isFalse(embed.parser.has('embed'));
+			assert.equal(parsedTxt, '<blockquote>Tweet</blockquote>');
+			assert.lengthOf(embed.requests, 1);
+		});
+	});
+
+	it('Embed handlers should output html, even when the parser defaults to text.', ()=>{
+		const parser = Shortcode({output: 'text'});
+		ShortcodeEmbed(parser, {handler: {cache: true}});
+
+		return assert.eventually.equal(
+			parser.parse('[[embed https://youtu.be/dQw4w9WgXcQ]]'),
+			'<iframe src="https://www.youtube.com/embed/dQw4w9WgXcQ" width="640" height="360" frameborder="0" allowfullscreen></iframe>'
+		);
+	});
+
+	it('Requests should follow redirects and fail after the timeout.', ()=>{
+		const server = http.createServer((req, res)=>{
+			if (req.url.startsWith('/moved')) {
+				res.writeHead(302, {location: '/oembed'});
+				return res.end();
+			}
+			if (req.url.startsWith('/oembed')) return res.end(JSON.stringify({html: '<div>Moved</div>'}));
+		});
+		const providers = ShortcodeEmbed.createRegistry({});
+		const parser = Shortcode();
+		ShortcodeEmbed(parser, {providers, timeout: 50});
+
+		return new Promise(resolve=>server.listen(0, '127.0.0.1', resolve)).then(()=>{
+			const endpoint = `http://127.0.0.1:${server.address().port}`;
+			providers.add('moved', {match: /^https:\/\/moved\.com\//, endpoint: `${endpoint}/moved`});
+			providers.add('hung', {match: /^https:\/\/hung\.com\//, endpoint: `${endpoint}/hung`});
+
+			return parser.render('[[embed https://moved.com/x]] [[embed https://hung.com/x]]', {onError: 'keep'});
+		}).then(result=>{
+			assert.equal(result.txt, '<div>Moved</div> [[embed https://hung.com/x]]');
+			assert.match(result.errors[0].error.message, /timed out after 50ms$/);
+		}).finally(()=>server.close());
+	});
+
+	describe('ShortcodeEmbed.createRegistry(): Create a new embed provider registry.', ()=>{
+		it('The registry should have providers for common platforms.', ()=>{
+			const providers = ShortcodeEmbed.createRegistry();
+
+			['youtube', 'vimeo', 'twitter', 'gist'].forEach(name=>assert.isTrue(providers.has(name)));
+			assert.equal(providers.find('https://twitter.com/jack/status/20').name, 'twitter');
+			assert.equal(providers.find('https://youtu.be/dQw4w9WgXcQ').match[1], 'dQw4w9WgXcQ');
+			assert.isUndefined(providers.find('https://example.com/'));
+		});
+
+		it('Providers should be added, got and deleted.', ()=>{
+			const providers = ShortcodeEmbed.createRegistry({});
+			const embed = createEmbedParser({providers});
+
+			providers.add('example', {match: /^https:\/\/example\.com\/(\w+)/, render: (url, match)=>`<div>${match[1]}</div>`});
+			providers.add('oembed', {match: [/^https:\/\/oembed\.com\//], endpoint: 'https://oembed.com/api'});
+
+			assert.isFunction(providers.get('example').render);
+			assert.throws(()=>providers.add('bad', {match: 'example.com', endpoint: 'https://example.com/'}), TypeError);
+			assert.throws(()=>providers.add('bad', {match: /example/}), TypeError);
+			assert.throws(()=>providers.get('youtube'), RangeError);
+
+			return embed.parser.parse('[[embed https://example.com/test]] [[embed https://oembed.com/x]]').then(parsedTxt=>{
+				assert.equal(parsedTxt, '<div>test</div> <blockquote>Tweet</blockquote>');
+				assert.isTrue(providers.delete('example'));
+				assert.isFalse(providers.has('example'));
+			});
+		});
+	});
+});
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+	b: tag=>`<b>${tag.content}</b>`,
+	fail: ()=>{
+		throw new Error('Broken');
+	}
+};
@@ -5,8 +5,10 @@
 'use strict';
 
 const Promise = require('bluebird');
+const _ = require('lodash');
 const packageInfo = require('../package.json');
 const jsDoc = require('./index.json');
+const wordpressFixtures = require('./fixtures/wordpress.json');
 const Shortcode = require('../');
 const chai = require('chai');
 const assert = chai.assert;
@@ -44,10 +46,34 @@ describe(describeItem(packageInfo), ()=>{
 			assert.isObject(parser);
 		});
 
-		it('Returned instance should be have parse(), has(), add(), get() and delete() methods.', ()=> {
+		it('Returned instance should be have parse(), parseSync(), render(), renderSync(), tokenize(), extract(), validate(), stringify(), createParseStream(), has(), add(), get(), invalidate() and delete() methods.', ()=> {
 			assert.property(parser, 'parse');
 			assert.isFunction(parser.parse);
 
+			assert.property(parser, 'parseSync');
+			assert.isFunction(parser.parseSync);
+
+			assert.property(parser, 'render');
+			assert.isFunction(parser.render);
+
+			assert.property(parser, 'renderSync');
+			assert.isFunction(parser.renderSync);
+
+			assert.property(parser, 'tokenize');
+			assert.isFunction(parser.tokenize);
+
+			assert.property(parser, 'extract');
+			assert.isFunction(parser.extract);
+
+			assert.property(parser, 'stringify');
+			assert.isFunction(parser.stringify);
+
+			assert.property(parser, 'validate');
+			assert.isFunction(parser.validate);
+
+			assert.property(parser, 'createParseStream');
+			assert.isFunction(parser.createParseStream);
+
 			assert.property(parser, 'add');
 			assert.isFunction(parser.add);
 
@@ -57,6 +83,15 @@ describe(describeItem(packageInfo), ()=>{
 			assert.property(parser, 'get');
 			assert.isFunction(parser.get);
 
+			assert.property(parser, 'invalidate');
+			assert.isFunction(parser.invalidate);
+
+			assert.property(parser, 'use');
+			assert.isFunction(parser.use);
+
+			assert.property(parser, 'extend');
+			assert.isFunction(parser.extend);
+
 			assert.property(parser, 'delete');
 			assert.isFunction(parser.delete);
 		});
@@ -167,6 +202,134 @@ describe(describeItem(packageInfo), ()=>{
 			});
 		});
 
+		describe(describeItem(jsDoc, 'ShortcodeParser.use'), ()=>{
+			it('use() should run middleware around every handler, in the order added.', ()=>{
+				const parser = Shortcode();
+				const calls = [];
+
+				parser.add('b', (tag, user)=>`<b>${tag.content}</b>`);
+				parser.add('i', tag=>Promise.delay(1).then(()=>`<i>${tag.content}</i>`));
+				parser.add('empty', ()=>'', {output: 'text'});
+				parser.use((tag, next, user)=>{
+					calls.push(`${tag.tagName} ${user}`);
+					return next();
+				}).use((tag, next)=>Promise.resolve(next()).then(output=>`<div data-shortcode="${tag.tagName}">${output}</div>`));
+
+				return parser.parse('[[b]]x[[/b]] [[i]]y[[/i]] [[empty]]', 'admin').then(parsedTxt=>{
+					assert.equal(parsedTxt, '<div data-shortcode="b"><b>x</b></div> <div data-shortcode="i"><i>y</i></div> <div data-shortcode="empty"></div>');
+					assert.sameMembers(calls, ['b admin', 'i admin', 'empty admin']);
+				});
+			});
+
+			it('use() middleware should be able to stop a handler running, with errors handled by onError.', ()=>{
+				const parser = Shortcode();
+				let count = 0;
+
+				parser.add('secret', ()=>`secret ${++count}`, {cache: true});
+				parser.use((tag, next, user)=>{
+					if (user !== 'admin') throw new Error(`Tag '${tag.tagName}' is not allowed`);
+					return next();
+				});
+
+				assert.equal(parser.parseSync('[[secret]]', 'admin'), 'secret 1');
+				assert.equal(parser.renderSync('[[secret]]', {params: ['guest'], onError: 'remove'}).txt, '');
+				assert.throws(()=>parser.parseSync('[[secret]]', 'guest'), 'Tag \'secret\' is not allowed');
+				assert.equal(count, 1);
+			});
+
+			it('use() middleware returning a promise should throw in parseSync().', ()=>{
+				const parser = Shortcode();
+
+				parser.add('b', ()=>'B');
+				parser.use((tag, next)=>Promise.resolve(next()));
+
+				assert.throws(()=>parser.parseSync('[[b]]'), TypeError);
+			});
+
+			it('use() should add hooks changing the text, the tags or the output.', ()=>{
+				const parser = Shortcode();
+
+				parser.add(()=>true, tag=>tag.tagName.toUpperCase());
+				parser.use({
+					beforeParse: (txt, suffix)=>txt.replace(/\{\{(\w+)\}\}/g, '[[$1]]'),
+					afterTag: tags=>tags.filter(tag=>(tag.tagName !== 'skip')),
+					afterParse: (txt, suffix)=>Promise.resolve(txt + suffix)
+				});
+				parser.use({afterParse: txt=>undefined});
+
+				return parser.parse('{{a}} [[b]] [[skip]]', '!').then(parsedTxt=>assert.equal(parsedTxt, 'A B [[skip]]!'));
+			});
+
+			it('use() should throw when not given a function or known hooks.', ()=>{
+				const parser = Shortcode();
+
+				assert.throws(()=>parser.use('log'), TypeError);
+				assert.throws(()=>parser.use({beforeRender: ()=>{}}), TypeError);
+				assert.throws(()=>parser.use({afterParse: 'txt'}), TypeError);
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.extend'), ()=>{
+			it('extend() should create a child parser, inheriting the handlers of the parent.', ()=>{
+				const parent = Shortcode();
+				const selector = /^upper /;
+				parent.add('b', tag=>`<b>${tag.content}</b>`);
+				parent.add(selector, tag=>tag.attributes[1].toUpperCase());
+
+				const child = parent.extend();
+				parent.add('late', ()=>'LATE');
+
+				assert.isTrue(child.has('b'));
+				assert.strictEqual(child.get('b'), parent.get('b'));
+				assert.equal(child.parseSync('[[b]]x[[/b]] [[upper y]] [[late]]'), '<b>x</b> Y LATE');
+			});
+
+			it('extend() child parsers should override and delete handlers without changing the parent.', ()=>{
+				const parent = Shortcode();
+				const selector = /^upper /;
+				parent.add('b', tag=>`<b>${tag.content}</b>`);
+				parent.add(selector, tag=>tag.attributes[1].toUpperCase());
+
+				const child = parent.extend();
+				assert.throws(()=>child.add('b', ()=>''), Error);
+				child.add('b', tag=>`<strong>${tag.content}</strong>`, false);
+				child.add('i', tag=>`<i>${tag.content}</i>`);
+				assert.isTrue(child.delete(selector));
+
+				assert.equal(child.parseSync('[[b]]x[[/b]] [[i]]y[[/i]] [[upper z]]'), '<strong>x</strong> <i>y</i> [[upper z]]');
+				assert.equal(parent.parseSync('[[b]]x[[/b]] [[i]]y[[/i]] [[upper z]]'), '<b>x</b> [[i]]y[[/i]] Z');
+
+				child.delete('b');
+				assert.isFalse(child.has('b'));
+				assert.isTrue(parent.has('b'));
+				assert.throws(()=>child.delete('b'), RangeError);
+			});
+
+			it('extend() child parsers should inherit middleware and hooks, and merge options.', ()=>{
+				const parent = Shortcode();
+				parent.add('b', tag=>`<b>${tag.content}</b>`);
+				parent.use((tag, next)=>`(${next()})`);
+
+				const child = parent.extend({start: '{', end: '}'});
+				child.use({afterParse: txt=>`${txt}!`});
+
+				assert.equal(child.parseSync('{b}x{/b} [[b]]y[[/b]]'), '(<b>x</b>) [[b]]y[[/b]]!');
+				assert.equal(parent.parseSync('[[b]]y[[/b]]'), '(<b>y</b>)');
+			});
+
+			it('Handlers should render their content with the parser given as renderContent.', ()=>{
+				const admin = Shortcode().extend({start: '{', end: '}'});
+				const parser = Shortcode();
+				admin.add('secret', (tag, user)=>`secret for ${user}`);
+				parser.add('admin', tag=>`<div>${tag.content}</div>`, {renderContent: admin});
+
+				assert.equal(parser.parseSync('[[admin]]{secret} [[secret]][[/admin]] {secret}', 'root'), '<div>secret for root [[secret]]</div> {secret}');
+				assert.throws(()=>parser.add('user', ()=>'', {renderContent: 'yes'}), TypeError);
+
+				return assert.eventually.equal(parser.parse('[[admin]]{secret}[[/admin]]', 'root'), '<div>secret for root</div>');
+			});
+		});
+
 		describe(describeItem(jsDoc, 'ShortcodeParser.parse'), ()=>{
 			it('parse() should return a bluebird promise.', ()=>{
 				const parser = Shortcode();
@@ -287,6 +450,296 @@ describe(describeItem(packageInfo), ()=>{
 				parser.parse('[[TEST]]', 'A', 'B', 'C').then(()=>done());
 			});
 
+			it('parse() should replace each tag at its own position.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('ad', tag=>Promise.delay(20 - tag.start).then(()=>`AD@${tag.start}`));
+
+				return assert.eventually.equal(parser.parse('[[ad]] TEXT [[ad]]'), 'AD@0 TEXT AD@12');
+			});
+
+			it('parse() should insert handler output exactly as returned.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('price', ()=>'$1.00 $& $$ $\'');
+
+				return assert.eventually.equal(parser.parse('Price: [[price]]'), 'Price: $1.00 $& $$ $\'');
+			});
+
+			it('parse() should track tag chains across replacements that change the text length.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('long', ()=>'A very long replacement [[inner]]');
+				parser.add('short', ()=>'[[inner]]');
+				parser.add('inner', tag=>tag.chain.map(tag=>tag.tagName).join('>'));
+
+				return assert.eventually.equal(parser.parse('[[long]] [[short]]'), 'A very long replacement long short');
+			});
+
+			it('parse() should pass the original parameters to handlers when re-parsing.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('TEST', ()=>'[[INNER]]');
+				parser.add('INNER', (tag, ...params)=>params.join(','));
+
+				return assert.eventually.equal(parser.parse('[[TEST]]', 'A', 'B'), 'A,B');
+			});
+
+			it('parse() should reject when a handler outputs its own tag.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('TEST', ()=>'HELLO [[TEST]]');
+
+				return assert.isRejected(parser.parse('[[TEST]]'), 'Shortcode cycle detected in tag chain: TEST -> TEST');
+			});
+
+			it('parse() should reject when two handlers output each other\'s tags.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('PING', ()=>'[[PONG]]');
+				parser.add('PONG', ()=>'[[PING]]');
+
+				return parser.parse('[[PING]]').then(()=>assert.fail(), err=>{
+					assert.equal(err.message, 'Shortcode cycle detected in tag chain: PING -> PONG -> PING');
+					assert.deepEqual(err.chain.map(tag=>tag.tagName), ['PING', 'PONG', 'PING']);
+				});
+			});
+
+			it('parse() should reject when re-parsing goes deeper than maxDepth.', ()=>{
+				const parser = Shortcode({maxDepth: 2});
+
+				parser.add('COUNT', tag=>`[[COUNT ${parseInt(tag.attributes[1], 10) + 1}]]`);
+
+				return assert.isRejected(
+					parser.parse('[[COUNT 1]]'),
+					RangeError,
+					'Maximum shortcode depth of 2 exceeded in tag chain: COUNT -> COUNT -> COUNT'
+				);
+			});
+
+			it('parse() should not call a handler for a tag deeper than maxDepth.', ()=>{
+				const parser = Shortcode({maxDepth: 2});
+				const depths = [];
+
+				parser.add('COUNT', tag=>{
+					depths.push(tag.depth);
+					return `[[COUNT ${parseInt(tag.attributes[1], 10) + 1}]]`;
+				});
+
+				return parser.parse('[[COUNT 1]]').then(()=>assert.fail(), ()=>assert.deepEqual(depths, [0, 1, 2]));
+			});
+
+			it('ShortcodeParser() should throw if maxDepth is not valid and use the default if it is undefined.', ()=>{
+				const parser = Shortcode({maxDepth: undefined});
+
+				parser.add('COUNT', tag=>`[[COUNT ${parseInt(tag.attributes[1], 10) + 1}]]`);
+
+				assert.throws(()=>Shortcode({maxDepth: 'deep'}), RangeError, 'maxDepth must be a number, which is at least 0');
+				assert.throws(()=>Shortcode({maxDepth: -1}), RangeError);
+				return assert.isRejected(parser.parse('[[COUNT 1]]'), RangeError, 'Maximum shortcode depth of 10 exceeded');
+			});
+
+			it('parse() should re-parse handler output up to maxDepth.', ()=>{
+				const parser = Shortcode({maxDepth: 2});
+
+				parser.add('COUNT', tag=>{
+					let count = parseInt(tag.attributes[1], 10);
+					return ((count < 3) ? `[[COUNT ${count + 1}]]` : `DONE ${tag.depth}`);
+				});
+
+				return assert.eventually.equal(parser.parse('[[COUNT 1]]'), 'DONE 2');
+			});
+
+			it('parse() should give handlers the nested tags as children.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('row', tag=>{
+					assert.isNull(tag.parent);
+					assert.deepEqual(tag.children.map(child=>child.tagName), ['col', 'col']);
+					assert.equal(tag.children[0].parent, tag);
+					assert.equal(tag.children[1].content, 'y');
+					return 'ROW';
+				});
+
+				return assert.eventually.equal(parser.parse('[[row]][[col]]x[[/col]][[col]]y[[/col]][[/row]]'), 'ROW');
+			});
+
+			it('parse() should pass raw content to handlers by default, rendering nested tags afterwards.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('row', tag=>{
+					assert.equal(tag.content, '[[col]]x[[/col]]');
+					return `<div class="row">${tag.content}</div>`;
+				});
+				parser.add('col', tag=>`<div class="col">${tag.content}</div>`);
+
+				return assert.eventually.equal(
+					parser.parse('[[row]][[col]]x[[/col]][[/row]]'),
+					'<div class="row"><div class="col">x</div></div>'
+				);
+			});
+
+			it('parse() should render nested tags before firing handler when renderContent is set.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('row', tag=>{
+					assert.equal(tag.content, '<div class="col">x</div>');
+					return `<div class="row">${tag.content}</div>`;
+				}, {renderContent: true});
+				parser.add('col', tag=>`<div class="col">${tag.content}</div>`);
+
+				return assert.eventually.equal(
+					parser.parse('[[row]][[col]]x[[/col]][[/row]]'),
+					'<div class="row"><div class="col">x</div></div>'
+				);
+			});
+
+			it('parse() should pair end tags with the nearest start tag of the same name.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('b', tag=>`<b>${tag.content}</b>`, {renderContent: true});
+
+				return assert.eventually.equal(
+					parser.parse('[[b]]x[[b]]y[[/b]]z[[/b]]'),
+					'<b>x<b>y</b>z</b>'
+				);
+			});
+
+			it('parse() should treat unclosed tags as self-closing and ignore stray end tags.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('row', tag=>`<div>${tag.content}</div>`, {renderContent: true});
+				parser.add('br', tag=>{
+					assert.isTrue(tag.selfClosing);
+					assert.lengthOf(tag.children, 0);
+					return '<br>';
+				});
+
+				return assert.eventually.equal(
+					parser.parse('[[row]]a[[br]]b[[/row]][[/br]]'),
+					'<div>a<br>b</div>[[/br]]'
+				);
+			});
+
+			it('parse() should render tags nested in tags without a handler.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+
+				return assert.eventually.equal(
+					parser.parse('[[unknown]][[b]]x[[/b]][[/unknown]]'),
+					'[[unknown]]<b>x</b>[[/unknown]]'
+				);
+			});
+
+			describe('Attribute schemas', ()=>{
+				const schema = {
+					id: {type: 'integer', required: true, position: 1},
+					size: {enum: ['small', 'large'], default: 'small'},
+					autoplay: {type: 'boolean', default: false},
+					ratio: {type: 'number'},
+					tags: {type: 'array', default: []}
+				};
+
+				it('add() should throw when given an unknown attribute type.', ()=>{
+					const parser = Shortcode();
+					assert.throws(()=>parser.add('video', ()=>{}, {attributes: {id: {type: 'date'}}}), TypeError);
+					assert.throws(()=>parser.add('video', ()=>{}, {attributes: {id: {type: 'date'}}}), 'Unknown type \'date\' for attribute \'id\' of \'video\'');
+				});
+
+				it('add() should throw when given a position, which is not an integer from 1.', ()=>{
+					const parser = Shortcode();
+					assert.throws(()=>parser.add('video', ()=>{}, {attributes: {id: {position: '1'}}}), TypeError);
+					assert.throws(()=>parser.add('video', ()=>{}, {attributes: {id: {position: 0}}}), TypeError);
+					assert.throws(()=>parser.add('video', ()=>{}, {attributes: {id: {position: 1.5}}}), TypeError);
+				});
+
+				it('parse() should coerce attributes and fill in defaults.', ()=>{
+					const parser = Shortcode();
+
+					parser.add('video', tag=>{
+						assert.deepEqual(tag.attributes, {id: 45, size: 'large', autoplay: true, ratio: 1.5, tags: ['a', 'b']});
+						assert.equal(tag.rawAttributes.id, '45');
+						return 'VIDEO';
+					}, {attributes: schema});
+
+					return assert.eventually.equal(parser.parse('[[video id=45 size=large autoplay=yes ratio="1.5" tags="a, b"]]'), 'VIDEO');
+				});
+
+				it('parse() should map positional attributes to named ones.', ()=>{
+					const parser = Shortcode();
+
+					parser.add('video', tag=>{
+						assert.deepEqual(tag.attributes, {id: 12, size: 'small', autoplay: false, tags: []});
+					}, {attributes: schema});
+
+					return parser.parse('[[video 12]]');
+				});
+
+				it('parse() should count only attributes without a name for position.', ()=>{
+					const parser = Shortcode();
+					const wordpress = Shortcode({mode: 'wordpress'});
+
+					parser.add('video', tag=>`${tag.attributes.id}:${tag.attributes.size}`, {attributes: schema});
+					wordpress.add('video', tag=>`${tag.attributes.id}:${tag.attributes.size}`, {attributes: schema});
+
+					assert.equal(parser.parseSync('[[video 45 size=large]]'), '45:large');
+					assert.equal(parser.parseSync('[[video size=large 45]]'), '45:large');
+					assert.equal(wordpress.parseSync('[video size=large 45]'), '45:large');
+				});
+
+				it('parse() should reject with a TypeError when a required attribute is missing.', ()=>{
+					const parser = Shortcode();
+					let fired = false;
+
+					parser.add('video', ()=>{
+						fired = true;
+					}, {attributes: schema});
+
+					return parser.parse('[[video size=large]]').then(()=>assert.fail(), err=>{
+						assert.instanceOf(err, TypeError);
+						assert.equal(err.message, 'Attribute \'id\' of tag \'video\' is required');
+						assert.equal(err.attribute, 'id');
+						assert.equal(err.tag.tagName, 'video');
+						assert.isFalse(fired);
+					});
+				});
+
+				it('parse() should reject when an attribute cannot be coerced or is not allowed.', ()=>{
+					const parser = Shortcode();
+
+					parser.add('video', ()=>'VIDEO', {attributes: schema});
+
+					return Promise.all([
+						assert.isRejected(parser.parse('[[video id=abc]]'), 'Attribute \'id\' of tag \'video\' must be of type \'integer\''),
+						assert.isRejected(parser.parse('[[video id=1 size=huge]]'), 'Attribute \'size\' of tag \'video\' must be one of: small, large'),
+						assert.isRejected(parser.parse('[[video id=1 autoplay=maybe]]'), 'Attribute \'autoplay\' of tag \'video\' must be of type \'boolean\'')
+					]);
+				});
+
+				it('parse() should use the last value of repeated attributes, unless multiple is set.', ()=>{
+					const parser = Shortcode();
+
+					parser.add('list', tag=>JSON.stringify(tag.attributes), {attributes: {
+						item: {type: 'integer', multiple: true},
+						size: {type: 'integer'}
+					}});
+
+					assert.equal(parser.parseSync('[[list item=1 item=2 size=3 size=4]]'), '{"item":[1,2],"size":4}');
+					assert.throws(()=>parser.parseSync('[[list item=1 item=x]]'), TypeError);
+				});
+
+				it('parse() should accept a function as an attribute type.', ()=>{
+					const parser = Shortcode();
+
+					parser.add('date', tag=>tag.attributes.on.getUTCFullYear(), {attributes: {
+						on: {type: value=>new Date(value), position: 1}
+					}});
+
+					assert.equal(parser.parseSync('[[date 2016-10-19]]'), '2016');
+				});
+			});
+
 			describe('ShortcodeParserTag is supplied to handler', ()=>{
 				it('parse() will fire handler for tag supplying it with ShortcodeParserTag object.', done=>{
 					const parser = Shortcode();
@@ -465,10 +918,1185 @@ describe(describeItem(packageInfo), ()=>{
 							'[[MORE test \'hello world\' more=Hello "HELLO"]]TEST[[/MORE]]'
 						)).then(()=>done());
 					});
+
+					it('ShortcodeParserTag supplied to handler has escaped quotes, values containing = and repeated names parsed.', ()=>{
+						const parser = Shortcode();
+						const [tag] = parser.tokenize('[[TEST title="say \\"hi\\"" path=\'C:\\dir\\\\\' url=/a?b=c&d=e tag=a tag=b one \'two\']]');
+
+						assert.deepEqual(tag.named, {title: 'say "hi"', path: 'C:\\dir\\', url: '/a?b=c&d=e', tag: ['a', 'b']});
+						assert.deepEqual(tag.positional, ['one', 'two']);
+						assert.equal(tag.attributes.tag, 'b');
+						assert.deepEqual(tag.attributes[4], {tag: 'a'});
+						assert.deepEqual(tag.attributes[5], {tag: 'b'});
+						assert.equal(tag.attributes[6], 'one');
+					});
+
+					it('ShortcodeParserTag supplied to handler has JSON values parsed, when jsonAttributes is set.', ()=>{
+						const txt = '[[TEST data=[1, "a b"] options={"type": "bar"} bad=[x {"y": 1} ]]';
+
+						assert.deepEqual(Shortcode({jsonAttributes: true}).tokenize(txt)[0].named, {data: [1, 'a b'], options: {type: 'bar'}, bad: '[x'});
+						assert.deepEqual(Shortcode({jsonAttributes: true}).tokenize(txt)[0].positional, [{y: 1}]);
+						assert.deepEqual(Shortcode().tokenize(txt)[0].named, {data: '[1,', options: '{"type":', bad: '[x'});
+						assert.deepEqual(Shortcode({syntax: 'mediawiki', jsonAttributes: true}).tokenize('{{TEST|[1]|a={"b": 2} }}')[0].attributes, {1: [1], 2: {a: {b: 2}}, a: {b: 2}});
+					});
+
+					it('stringify() should write escaped quotes, repeated names and JSON values.', ()=>{
+						const parser = Shortcode({jsonAttributes: true});
+						const ast = parser.extract('[[TEST tag=a tag=b]]');
+
+						delete ast.children[0].openTag;
+						ast.children[0].attributes.title = 'say "hi" it\'s';
+						ast.children[0].attributes.data = [1, {b: 2}];
+						assert.equal(parser.stringify(ast), '[[TEST tag=a tag=b title="say \\"hi\\" it\'s" data=[1,{"b":2}] ]]');
+						assert.deepEqual(parser.tokenize(parser.stringify(ast))[0].named, {tag: ['a', 'b'], title: 'say "hi" it\'s', data: [1, {b: 2}]});
+					});
 				});
 			});
 		});
-	});
-});
 
+		describe(describeItem(jsDoc, 'ShortcodeParser.parseSync'), ()=>{
+			it('parseSync() should return the parsed text.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('HELLO', tag=>`HELLO ${tag.attributes.name}`);
+
+				assert.equal(parser.parseSync('[[HELLO name="WORLD"]]!'), 'HELLO WORLD!');
+				assert.equal(parser.parseSync('TEST'), 'TEST');
+			});
+
+			it('parseSync() should pass parameters to handlers.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('TEST', (tag, ...params)=>params.join(','));
+
+				assert.equal(parser.parseSync('[[TEST]]', 'A', 'B', 'C'), 'A,B,C');
+			});
+
+			it('parseSync() should use the same selector and nesting rules as parse().', ()=>{
+				const parser = Shortcode();
+				const txt = '[[test.pdf]] [[row]][[col]]x[[/col]][[/row]]';
+
+				parser.add(/.*\.pdf/, ()=>'PDF');
+				parser.add('row', tag=>`<div>${tag.content}</div>`, {renderContent: true});
+				parser.add('col', tag=>`<span>${tag.content}</span>`);
+
+				return parser.parse(txt).then(parsedTxt=>{
+					assert.equal(parser.parseSync(txt), parsedTxt);
+					assert.equal(parsedTxt, 'PDF <div><span>x</span></div>');
+				});
+			});
+
+			it('parseSync() should throw if a handler returns a promise.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('TEST', ()=>Promise.resolve('HELLO'));
+
+				assert.throws(()=>parser.parseSync('[[TEST]]'), TypeError);
+				assert.throws(()=>parser.parseSync('[[TEST]]'), 'Handler for tag \'TEST\' returned a promise, use parse() instead of parseSync()');
+			});
+
+			it('parseSync() should throw on shortcode cycles.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('TEST', ()=>'[[TEST]]!');
+
+				assert.throws(()=>parser.parseSync('[[TEST]]'), 'Shortcode cycle detected in tag chain: TEST -> TEST');
+			});
+		});
+
+		describe('Wordpress mode', ()=>{
+			/**
+			 * Create a wordpress mode parser with the handlers used in the
+			 * Wordpress shortcode tests.
+			 *
+			 * @private
+			 * @returns {ShortcodeParser}
+			 */
+			function createWordpressParser() {
+				const parser = Shortcode({mode: 'wordpress'});
+
+				parser.add('footag', tag=>`foo = ${tag.attributes.foo || ''}`);
+				parser.add('bartag', tag=>`foo = ${Shortcode.shortcodeAtts({foo: 'no foo', baz: 'default baz'}, tag.attributes).foo}`);
+				parser.add('baztag', tag=>`content = ${tag.content}`, {renderContent: true});
+				parser.add('dumptag', tag=>Object.keys(tag.attributes).map(name=>`${name} = ${tag.attributes[name]}\n`).join(''));
+				['hyphen', 'hyphen-foo', 'hyphen-foo-bar'].forEach(name=>parser.add(name, tag=>tag.tagName));
+
+				return parser;
+			}
+
+			it('ShortcodeParser() should throw for an unknown mode.', ()=>{
+				assert.throws(()=>Shortcode({mode: 'unknown'}), RangeError);
+				assert.throws(()=>Shortcode({mode: 'unknown'}), 'Unknown parser mode \'unknown\'');
+			});
+
+			describe('Wordpress attribute parsing', ()=>{
+				wordpressFixtures.attributes.forEach(fixture=>{
+					it(fixture.description, ()=>{
+						const parser = createWordpressParser();
+						let found;
+
+						parser.add('test-shortcode-tag', tag=>{
+							found = tag;
+						});
+
+						return parser.parse(fixture.input).then(()=>{
+							assert.isObject(found);
+							assert.deepEqual(found.attributes, fixture.attributes);
+							assert.equal(found.content, fixture.content);
+						});
+					});
+				});
+			});
+
+			describe('Wordpress shortcode rendering', ()=>{
+				wordpressFixtures.render.forEach(fixture=>{
+					it(fixture.description, ()=>{
+						const parser = createWordpressParser();
+						return assert.eventually.equal(parser.parse(fixture.input), fixture.output);
+					});
+				});
+			});
+
+			it('shortcodeAtts() should fill in defaults and drop unknown attributes.', ()=>{
+				assert.deepEqual(
+					Shortcode.shortcodeAtts({foo: 'no foo', baz: 'default baz'}, {foo: 'yes', qux: 'no'}),
+					{foo: 'yes', baz: 'default baz'}
+				);
+				assert.deepEqual(Shortcode.shortcodeAtts({foo: 'no foo'}), {foo: 'no foo'});
+			});
+		});
+
+		describe('Tag syntaxes', ()=>{
+			/**
+			 * Create a parser for the given syntaxes, with a handler describing
+			 * each tag.
+			 *
+			 * @param {string|Object|Array} syntax		The syntaxes.
+			 * @returns {ShortcodeParser}
+			 */
+			function createSyntaxParser(syntax) {
+				const parser = Shortcode({syntax});
+				parser.add(()=>true, tag=>`<${tag.tagName} ${JSON.stringify(_.omitBy(tag.attributes, _.isObject))}${tag.selfClosing ? '' : `>${tag.content}</${tag.tagName}`}>`);
+				return parser;
+			}
+
+			it('MediaWiki templates should be parsed, with | separated attributes.', ()=>{
+				const parser = createSyntaxParser('mediawiki');
+
+				assert.equal(parser.parseSync('{{Infobox person| name = Ada |born=1815|extra}}'), '<Infobox person {"3":"extra","name":"Ada","born":"1815"}>');
+				assert.equal(parser.parseSync('{{outer|{{inner}}}}'), '<outer {"1":"<inner {}>"}>');
+				assert.equal(parser.parseSync('{{#if:x}} {{< hugo >}}'), '{{#if:x}} {{< hugo >}}');
+			});
+
+			it('Liquid tags should be parsed, with end tags prefixed with end.', ()=>{
+				const parser = createSyntaxParser('liquid');
+
+				assert.equal(parser.parseSync('{%- if user -%}Hi {% include footer.html param="x" %}{% endif %} {{ user }}'), '<if {"1":"user"}>Hi <include {"1":"footer.html","param":"x"}></if> {{ user }}');
+			});
+
+			it('Liquid tags starting with end should only be end tags when they close an open tag.', ()=>{
+				const parser = createSyntaxParser('liquid');
+
+				assert.equal(parser.parseSync('{% less %}a{% endless %}b{% endless x=1 %}'), '<less {}>a</less>b<endless {"x":"1"}>');
+				assert.equal(parser.parseSync('{% endpoint %}{% point %}{% end %}'), '<endpoint {}><point {}><end {}>');
+				assert.deepEqual(parser.tokenize('{% endless %}').map(tag=>[tag.tagName, tag.endTag]), [['endless', false]]);
+			});
+
+			it('Hugo shortcodes should be parsed, including self-closing ones.', ()=>{
+				const parser = createSyntaxParser('hugo');
+
+				assert.equal(parser.parseSync('{{< youtube w7Ft2ymGmfc >}} {{< figure src="a.png" />}}{{< /figure >}} {{< note >}}Hi{{< /note >}}'), '<youtube {"1":"w7Ft2ymGmfc"}> <figure {"src":"a.png"}>{{< /figure >}} <note {}>Hi</note>');
+			});
+
+			it('More than one syntax should be found at once, tags knowing their syntax.', ()=>{
+				const parser = Shortcode({syntax: ['hugo', 'mediawiki', 'liquid', 'default']});
+				const txt = '{{< b >}}1{{< /b >}} {{b|2}} {% b %}3{% endb %} [[b]]4[[/b]] [[b]]{% endb %}';
+
+				parser.add('b', tag=>`<b class="${tag.syntax}">${tag.content || tag.attributes[1] || ''}</b>`);
+
+				assert.equal(parser.parseSync(txt), '<b class="hugo">1</b> <b class="mediawiki">2</b> <b class="liquid">3</b> <b class="default">4</b> <b class="default"></b>{% endb %}');
+				assert.deepEqual(parser.tokenize(txt).map(tag=>tag.syntax), ['hugo', 'hugo', 'mediawiki', 'liquid', 'liquid', 'default', 'default', 'default', 'liquid']);
+			});
+
+			it('Custom syntax definitions should be supported.', ()=>{
+				const parser = createSyntaxParser({name: 'angle', start: '<<', end: '>>', closing: '/', separator: ';'});
+
+				assert.equal(parser.parseSync('<<box; a; size=2>>x<</box>> <<br>>'), '<box {"1":"a","size":"2"}>x</box> <br {}>');
+				assert.throws(()=>Shortcode({syntax: {name: 'bad', start: '<<'}}), TypeError);
+				assert.throws(()=>Shortcode({syntax: 'unknown'}), RangeError);
+				assert.throws(()=>Shortcode({syntax: ['liquid', 'liquid']}), TypeError);
+			});
 
+			it('stringify() should write tags in their syntax.', ()=>{
+				const parser = Shortcode({syntax: ['mediawiki', 'liquid', 'hugo']});
+				const txt = '{{t|a|k=v}} {% if x %}y{% endif %} {{< n a=1 >}}z{{< /n >}}';
+				const ast = parser.extract(txt);
+
+				assert.equal(parser.stringify(ast), txt);
+				ast.children.filter(node=>(node.type === 'tag')).forEach(node=>{
+					delete node.openTag;
+					delete node.closeTag;
+					node.attributes.b = 'two words';
+				});
+				assert.equal(parser.stringify(ast), '{{t|a|k=v|b=two words}} {% if x b="two words" %}y{% endif %} {{< n a=1 b="two words" >}}z{{< /n >}}');
+				assert.equal(parser.stringify({type: 'tag', tagName: 'new', attributes: {1: 'x'}}), '{{new|x}}');
+			});
+		});
+
+		describe('Handler priorities and fall-through', ()=>{
+			it('Regular expression and function selectors should be used by priority, then in the order added.', ()=>{
+				const parser = Shortcode();
+				const selectors = [];
+
+				parser.add(/^img/, tag=>'first');
+				parser.add(tagContents=>tagContents.startsWith('im'), tag=>'high', {priority: 10});
+				parser.add(/^i/, tag=>'low', {priority: -1});
+				parser.add('img', tag=>{
+					selectors.push(tag.selector);
+					return tag.next();
+				});
+
+				assert.equal(parser.parseSync('[[img]] [[imx]] [[i]]'), 'high high low');
+				assert.deepEqual(selectors, ['img']);
+				assert.throws(()=>parser.add(/^a/, ()=>'', {priority: 'high'}), TypeError);
+			});
+
+			it('Handlers should pass tags on to the next matching handler with next().', ()=>{
+				const parser = Shortcode();
+
+				parser.add(/^link /, tag=>tag.attributes[1].toUpperCase());
+				parser.add(/^link/, tag=>`<a>${tag.next()}</a>`, {priority: 1});
+				parser.add('link', tag=>`[${tag.next()} ${tag.selector}]`);
+				parser.add('async', tag=>Promise.delay(1).then(()=>tag.next()).then(output=>`(${output})`));
+				parser.add(/^async$/, tag=>Promise.resolve('ASYNC'));
+
+				assert.equal(parser.parseSync('[[link x]]'), '[<a>X</a> link]');
+				return assert.eventually.equal(parser.parse('[[async]]'), '(ASYNC)');
+			});
+
+			it('next() after the last handler should leave the tag as it is, with nested tags rendered.', ()=>{
+				const parser = Shortcode();
+
+				parser.add(/^wrap/, tag=>`<div>${tag.next()}</div>`);
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+
+				assert.equal(parser.parseSync('[[wrap]][[b]]x[[/b]][[/wrap]]'), '<div>[[wrap]]<b>x</b>[[/wrap]]</div>');
+			});
+
+			it('next() should give text output unescaped to a text handler, so it is only escaped once.', ()=>{
+				const parser = Shortcode({output: 'text'});
+
+				parser.add(/^pass/, tag=>tag.next(), {priority: 1});
+				parser.add(/^html/, tag=>tag.next(), {priority: 1, output: 'html'});
+				parser.add(/(pass|html)$/, ()=>'a < b');
+
+				assert.equal(parser.parseSync('[[pass]] [[html]]'), 'a &lt; b a &lt; b');
+			});
+
+			it('next() should not wait for a concurrency slot held by the handler calling it.', ()=>{
+				const parser = Shortcode({concurrency: 1});
+
+				parser.add(/^a/, tag=>Promise.delay(1).then(()=>tag.next()), {priority: 2});
+				parser.add(/a$/, ()=>'B', {concurrency: 1});
+				parser.add(/^b/, tag=>tag.next(), {priority: 2});
+				parser.add(/b$/, _tags=>_tags.map(()=>'C'), {batch: true});
+
+				return Promise.all([
+					assert.eventually.equal(parser.parse('[[a]][[ba]][[a]]').timeout(1000), 'BBB'),
+					assert.eventually.equal(parser.parse('[[b]][[b]]').timeout(1000), 'CC')
+				]);
+			});
+
+			it('The catch-all handler (*) should be used after all other handlers.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('*', tag=>`<unknown ${tag.tagName}>`);
+				parser.add(/^known/, tag=>((tag.attributes[1] === 'pass') ? tag.next() : 'KNOWN'), {priority: -100});
+
+				assert.equal(parser.parseSync('[[known]] [[known pass]] [[other]]'), 'KNOWN <unknown known> <unknown other>');
+			});
+		});
+
+		describe('Parse context and handler dependencies', ()=>{
+			it('Handlers should share a context object for each parse, returned by render().', ()=>{
+				const parser = Shortcode();
+				const context = {user: 'guest'};
+
+				parser.add('count', tag=>{
+					tag.context.count = (tag.context.count || 0) + 1;
+					return `${tag.context.user}:${tag.context.count}`;
+				});
+
+				const result = parser.renderSync('[[count]] [[count]]', {context});
+				assert.equal(result.txt, 'guest:1 guest:2');
+				assert.strictEqual(result.context, context);
+				assert.deepEqual(parser.renderSync('[[count]]').context, {count: 1});
+				assert.equal(parser.renderSync('[[count]]', {context, policy: {sandbox: true}}).txt, 'undefined:1');
+				assert.throws(()=>parser.renderSync('[[count]]', {context: 'guest'}), TypeError);
+			});
+
+			it('Handlers should wait for the tags given in the after option, including those from re-parsed output.', ()=>{
+				const parser = Shortcode();
+				const depths = [];
+
+				parser.add('heading', tag=>Promise.delay(5).then(()=>{
+					(tag.context.headings = tag.context.headings || []).push(tag.content);
+					return `<h2>${tag.content}</h2>`;
+				}));
+				parser.add('include', ()=>'[[heading]]Included[[/heading]]');
+				parser.add('toc', tag=>{
+					depths.push(tag.depth);
+					return `<ul>${tag.context.headings.map(heading=>`<li>${heading}</li>`).join('')}</ul>`;
+				}, {after: 'heading'});
+
+				return parser.parse('[[toc]] [[heading]]One[[/heading]] [[include]]').then(parsedTxt=>{
+					assert.equal(parsedTxt, '<ul><li>One</li><li>Included</li></ul> <h2>One</h2> <h2>Included</h2>');
+					assert.deepEqual(depths, [0]);
+				});
+			});
+
+			it('Footnotes should be collected and listed at the end, in order.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('footnote', tag=>{
+					const notes = (tag.context.notes = tag.context.notes || []);
+					notes.push(tag.content);
+					return `<sup>${notes.length}</sup>`;
+				});
+				parser.add('footnotes', tag=>`<ol>${tag.context.notes.map(note=>`<li>${note}</li>`).join('')}</ol>`, {after: ['footnote']});
+
+				assert.equal(
+					parser.parseSync('A[[footnote]]a[[/footnote]] [[footnotes]] B[[footnote]]b[[/footnote]]'),
+					'A<sup>1</sup> <ol><li>a</li><li>b</li></ol> B<sup>2</sup>'
+				);
+			});
+
+			it('Tags inside another tag should hold back the outermost tag while they wait.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('h', tag=>{
+					(tag.context.headings = tag.context.headings || []).push(tag.content);
+					return tag.content;
+				});
+				parser.add('toc', tag=>`TOC:${(tag.context.headings || []).join(',')}`, {after: 'h'});
+				parser.add('div', tag=>`<div>${tag.content}</div>`, {renderContent: true});
+
+				assert.equal(parser.parseSync('[[div]][[toc]][[/div]] [[h]]A[[/h]]'), '<div>TOC:A</div> A');
+				assert.equal(parser.parseSync('[[span]][[toc]][[/span]] [[h]]A[[/h]]'), '[[span]]TOC:A[[/span]] A');
+				assert.equal(parser.parseSync('[[div]][[h]]B[[/h]][[/div]] [[toc]]'), '<div>B</div> TOC:B');
+			});
+
+			it('Tags waiting on each other should be rendered once nothing else changes.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('a', ()=>'A', {after: 'b'});
+				parser.add('b', ()=>'B', {after: 'a'});
+				parser.add('c', ()=>'[[b]]', {after: 'c'});
+
+				assert.equal(parser.parseSync('[[a]] [[b]] [[c]]'), 'A B B');
+				assert.throws(()=>parser.add('d', ()=>'', {after: 5}), TypeError);
+			});
+		});
+
+		describe('Escape sequences', ()=>{
+			it('Tags after the escape character should be output without it and not parsed.', ()=>{
+				const parser = Shortcode({escapeChar: '\\'});
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+
+				assert.equal(parser.parseSync('\\[[b]]x\\[[/b]] [[b]]y[[/b]]'), '[[b]]x[[/b]] <b>y</b>');
+				assert.equal(parser.parseSync('[[b]]x\\[[/b]]y[[/b]]'), '<b>x[[/b]]y</b>');
+				assert.equal(parser.parseSync('\\\\[[b]]x[[/b]]'), '\\<b>x</b>');
+				assert.equal(parser.parseSync('\\\\\\[[b]]x\\\\\\\\[[/b]]'), '\\[[b]]x\\\\[[/b]]');
+				assert.equal(parser.parseSync('a\\\\b \\\\[[b]]y[[/b]]'), 'a\\\\b \\<b>y</b>');
+				assert.equal(Shortcode().parseSync('\\[[b]]'), '\\[[b]]');
+			});
+
+			it('Text in raw blocks should be output as it is, without the raw tags.', ()=>{
+				const parser = Shortcode({rawTag: 'raw', syntax: ['default', 'liquid']});
+				const txt = '[[raw]][[b]]x[[/b]] {% b %}[[/raw]] [[b]]y[[/b]] {% raw %}[[b]]{% endraw %} [[raw]][[b]]z[[/b]]';
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+
+				assert.equal(parser.parseSync(txt), '[[b]]x[[/b]] {% b %} <b>y</b> [[b]] [[raw]]<b>z</b>');
+				assert.equal(parser.stringify(parser.extract(txt)), txt);
+				assert.deepEqual(parser.tokenize(txt).map(tag=>[tag.tagName, tag.escaped]), [['raw', true], ['b', false], ['b', false], ['raw', true], ['raw', false], ['b', false], ['b', false]]);
+			});
+
+			it('Escapes should be kept together across stream chunks.', ()=>{
+				const parser = Shortcode({escapeChar: '\\', rawTag: 'raw'});
+				const stream = parser.createParseStream();
+				let parsedTxt = '';
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+
+				return new Promise((resolve, reject)=>{
+					stream.on('data', chunk=>(parsedTxt += chunk));
+					stream.on('end', resolve);
+					stream.on('error', reject);
+					['a \\', '[[b]]x[[/b]] [[r', 'aw]]\\[[b', ']][[/raw]][[b]]y[[/b]] \\\\', '[[b]]z[[/b]]'].forEach(chunk=>stream.write(chunk));
+					stream.end();
+				}).then(()=>assert.equal(parsedTxt, 'a [[b]]x[[/b]] \\[[b]]<b>y</b> \\<b>z</b>'));
+			});
+
+			it('Invalid escape options should throw.', ()=>{
+				assert.throws(()=>Shortcode({escapeChar: ''}), TypeError);
+				assert.throws(()=>Shortcode({rawTag: 1}), TypeError);
+			});
+		});
+
+		describe('Output escaping', ()=>{
+			it('Text output should be escaped for where the tag sits, html output inserted as it is.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('text', tag=>tag.attributes.value, {output: 'text'});
+				parser.add('html', tag=>tag.attributes.value);
+
+				assert.equal(parser.parseSync('[[text value="<script>&"]] [[html value="<b>"]]'), '&lt;script&gt;&amp; <b>');
+				assert.equal(parser.parseSync('<a title="[[text value=\'"><script>\']]">'), '<a title="&quot;&gt;&lt;script&gt;">');
+				assert.equal(parser.parseSync('<a title=[[text value="x onclick=y"]]>'), '<a title=x&#32;onclick&#61;y>');
+				assert.equal(parser.parseSync('<div [[text value="onclick=y"]]>'), '<div onclick&#61;y>');
+				assert.equal(parser.parseSync('<a href="[[text value=javascript:alert(1)]]">'), '<a href="about:invalid">');
+				assert.equal(parser.parseSync('<a href=\'[[text value="http://x.com/a b"]]\'>'), '<a href=\'http://x.com/a%20b\'>');
+				assert.equal(parser.parseSync('<a href="/search?q=[[text value="a b&c"]]">'), '<a href="/search?q=a%20b%26c">');
+			});
+
+			it('The parser output option should set the default for handlers.', ()=>{
+				const parser = Shortcode({output: 'text'});
+
+				parser.add('text', tag=>tag.attributes.value);
+				parser.add('html', tag=>tag.attributes.value, {output: 'html'});
+
+				assert.equal(parser.parseSync('[[text value="<i>"]][[html value="<i>"]]'), '&lt;i&gt;<i>');
+				assert.throws(()=>Shortcode({output: 'raw'}), TypeError);
+				assert.throws(()=>parser.add('bad', ()=>'', {output: 'raw'}), TypeError);
+			});
+
+			it('Tags should be given their output context.', ()=>{
+				const parser = Shortcode();
+				const contexts = [];
+
+				parser.add('ctx', tag=>{
+					contexts.push(tag.outputContext);
+					return '';
+				});
+
+				parser.parseSync('[[ctx]] a < b [[ctx]] <a title=\'x[[ctx]]\' HREF=[[ctx]]> <p [[ctx]]>');
+
+				assert.deepEqual(contexts, [
+					{type: 'html', attribute: null, quote: '', prefix: ''},
+					{type: 'html', attribute: null, quote: '', prefix: ''},
+					{type: 'attribute', attribute: 'title', quote: '\'', prefix: 'x'},
+					{type: 'url', attribute: 'href', quote: '', prefix: ''},
+					{type: 'attribute', attribute: null, quote: '', prefix: ''}
+				]);
+			});
+
+			it('A > in an attribute value or another tag should not end the HTML tag.', ()=>{
+				const parser = Shortcode({output: 'text'});
+
+				parser.add('link', tag=>tag.attributes.url);
+
+				assert.equal(parser.parseSync('<a title="1 > 0" href="[[link url=javascript:alert(1)]]">'), '<a title="1 > 0" href="about:invalid">');
+				assert.equal(parser.parseSync('<a title="[[link url=a>b]]" href="[[link url=javascript:alert(1)]]">'), '<a title="a&gt;b" href="about:invalid">');
+				assert.equal(parser.parseSync('<a title=[[link url=a>b]] href=[[link url=javascript:alert(1)]]>'), '<a title=a&gt;b href=about:invalid>');
+				assert.equal(parser.parseSync('<a title=\'1 > 0\'>[[link url=<i>]]</a>'), '<a title=\'1 > 0\'>&lt;i&gt;</a>');
+			});
+
+			it('Output context should be found for tags in handler output and streams.', ()=>{
+				const parser = Shortcode();
+				const txt = '<a title="x" href="[[link]]">[[text value="<i>"]]</a>';
+
+				parser.add('text', tag=>tag.attributes.value, {output: 'text'});
+				parser.add('link', ()=>'[[text value="javascript:alert(1)"]]');
+
+				const stream = parser.createParseStream();
+				let output = '';
+				stream.on('data', data=>(output += data));
+				for (let n = 0; n < txt.length; n += 4) stream.write(txt.slice(n, n + 4));
+				stream.end();
+
+				return new Promise(resolve=>stream.on('end', resolve)).then(()=>{
+					assert.equal(parser.parseSync(txt), '<a title="x" href="about:invalid">&lt;i&gt;</a>');
+					assert.equal(output, parser.parseSync(txt));
+				});
+			});
+
+			it('escapeHtml() should escape text for html.', ()=>{
+				assert.equal(Shortcode.escapeHtml('<a href="x">\'&\'</a>'), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+			});
+
+			it('escapeAttribute() should escape text for attribute values.', ()=>{
+				assert.equal(Shortcode.escapeAttribute('"`<x>`"'), '&quot;&#96;&lt;x&gt;&#96;&quot;');
+			});
+
+			it('escapeUrl() should escape urls and replace unsafe ones.', ()=>{
+				assert.equal(Shortcode.escapeUrl('https://x.com/a b?c=1&d="2"'), 'https://x.com/a%20b?c=1&amp;d=%222%22');
+				assert.equal(Shortcode.escapeUrl('/relative/path#top'), '/relative/path#top');
+				assert.equal(Shortcode.escapeUrl(' JavaScript:alert(1)'), 'about:invalid');
+				assert.equal(Shortcode.escapeUrl('data:text/html,<script>'), 'about:invalid');
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.render'), ()=>{
+			/**
+			 * Create a parser with a working and a failing handler.
+			 *
+			 * @private
+			 * @param {Object} [options]		Options to the parser.
+			 * @returns {ShortcodeParser}
+			 */
+			function createFailingParser(options) {
+				const parser = Shortcode(options);
+
+				parser.add('OK', ()=>'OK');
+				parser.add('FAIL', ()=>Promise.reject(new Error('Failed')));
+				parser.add('THROW', ()=>{
+					throw new Error('Thrown');
+				});
+
+				return parser;
+			}
+
+			it('render() should resolve to the parsed text and an empty error report.', ()=>{
+				const parser = createFailingParser();
+
+				return parser.render('[[OK]]', {params: []}).then(result=>{
+					assert.equal(result.txt, 'OK');
+					assert.deepEqual(result.errors, []);
+				});
+			});
+
+			it('render() should reject on a failing handler by default.', ()=>{
+				const parser = createFailingParser();
+
+				return Promise.all([
+					assert.isRejected(parser.render('[[OK]] [[FAIL]]'), 'Failed'),
+					assert.isRejected(parser.parse('[[OK]] [[THROW]]'), 'Thrown')
+				]);
+			});
+
+			it('render() should keep the original tag text of failing tags if onError is \'keep\'.', ()=>{
+				const parser = createFailingParser({onError: 'keep'});
+
+				return parser.render('[[OK]] [[FAIL id=1]] [[THROW]]x[[/THROW]]').then(result=>{
+					assert.equal(result.txt, 'OK [[FAIL id=1]] [[THROW]]x[[/THROW]]');
+					assert.sameMembers(result.errors.map(error=>error.tag.tagName), ['FAIL', 'THROW']);
+					assert.sameMembers(result.errors.map(error=>error.error.message), ['Failed', 'Thrown']);
+				});
+			});
+
+			it('render() should remove failing tags if onError is \'remove\'.', ()=>{
+				const parser = createFailingParser({onError: 'remove'});
+
+				return assert.eventually.equal(parser.parse('[[OK]] [[FAIL]] [[THROW]]'), 'OK  ');
+			});
+
+			it('render() should use the onError function to render fallbacks for failing tags.', ()=>{
+				const parser = createFailingParser({
+					onError: (tag, error)=>Promise.resolve(`<!-- ${tag.tagName}: ${error.message} -->`)
+				});
+
+				return assert.eventually.equal(parser.parse('[[OK]] [[FAIL]]'), 'OK <!-- FAIL: Failed -->');
+			});
+
+			it('render() should allow onError to be set for a single parse.', ()=>{
+				const parser = createFailingParser();
+
+				return parser.render('[[OK]] [[FAIL]]', {onError: 'remove'}).then(result=>{
+					assert.equal(result.txt, 'OK ');
+					assert.lengthOf(result.errors, 1);
+				});
+			});
+
+			it('render() should handle attribute and cycle errors with onError.', ()=>{
+				const parser = Shortcode({onError: 'keep'});
+
+				parser.add('video', ()=>'VIDEO', {attributes: {id: {required: true}}});
+				parser.add('LOOP', ()=>'[[LOOP]]!');
+
+				return parser.render('[[video]] [[LOOP]]').then(result=>{
+					assert.equal(result.txt, '[[video]] [[LOOP]]!');
+					assert.sameMembers(result.errors.map(error=>error.tag.tagName), ['video', 'LOOP']);
+				});
+			});
+
+			it('render() should use the handler onError setting over the parse one.', ()=>{
+				const parser = Shortcode({onError: 'remove'});
+
+				parser.add('FAIL', ()=>Promise.reject(new Error('Failed')), {onError: 'keep'});
+				parser.add('OTHER', ()=>Promise.reject(new Error('Failed')));
+
+				return assert.eventually.equal(parser.parse('[[FAIL]] [[OTHER]]'), '[[FAIL]] ');
+			});
+
+			it('render() should limit how many handlers run at once.', ()=>{
+				const parser = Shortcode({concurrency: 2});
+				let running = 0;
+				let maxRunning = 0;
+
+				parser.add('product', ()=>{
+					running++;
+					maxRunning = Math.max(running, maxRunning);
+					return Promise.delay(5).then(()=>{
+						running--;
+						return 'P';
+					});
+				});
+
+				return parser.parse(new Array(10).fill('[[product]]').join('')).then(parsedTxt=>{
+					assert.equal(parsedTxt, 'PPPPPPPPPP');
+					assert.equal(maxRunning, 2);
+				});
+			});
+
+			it('render() should limit how many calls to a handler run at once.', ()=>{
+				const parser = Shortcode();
+				const running = {product: 0, user: 0, all: 0};
+				const maxRunning = {product: 0, user: 0, all: 0};
+				const handler = tag=>{
+					[tag.tagName, 'all'].forEach(name=>{
+						running[name]++;
+						maxRunning[name] = Math.max(running[name], maxRunning[name]);
+					});
+					return Promise.delay(5).then(()=>{
+						running[tag.tagName]--;
+						running.all--;
+					});
+				};
+
+				parser.add('product', handler, {concurrency: 1});
+				parser.add('user', handler);
+
+				return parser.render(new Array(5).fill('[[product]][[user]]').join(''), {concurrency: 4}).then(()=>{
+					assert.equal(maxRunning.product, 1);
+					assert.equal(maxRunning.all, 4);
+				});
+			});
+
+			it('render() should fail handlers, which take longer than the timeout.', ()=>{
+				const parser = Shortcode({timeout: 10, onError: (tag, error)=>{
+					assert.instanceOf(error, Promise.TimeoutError);
+					return `${tag.tagName} TIMED OUT`;
+				}});
+
+				parser.add('SLOW', ()=>new Promise(()=>{}));
+				parser.add('FAST', ()=>'FAST');
+				parser.add('EXTENDED', ()=>Promise.delay(20).then(()=>'EXTENDED'), {timeout: 100});
+
+				return parser.render('[[SLOW]] [[FAST]] [[EXTENDED]]').then(result=>{
+					assert.equal(result.txt, 'SLOW TIMED OUT FAST EXTENDED');
+					assert.equal(result.errors[0].error.message, 'Handler for tag \'SLOW\' timed out after 10ms');
+				});
+			});
+
+			it('render() should call batch handlers once with all the matching tags in a pass.', ()=>{
+				const parser = Shortcode();
+				const calls = [];
+
+				parser.add('user', (_tags, prefix)=>{
+					calls.push(_tags.map(tag=>tag.attributes.id));
+					return Promise.delay(5).then(()=>_tags.map(tag=>`${prefix}${tag.attributes.id}`));
+				}, {batch: true});
+				parser.add('list', tag=>`[[user id=3]]`);
+
+				return parser.render('[[user id=1]], [[user id=2]], [[list]]', {params: ['USER']}).then(result=>{
+					assert.equal(result.txt, 'USER1, USER2, USER3');
+					assert.deepEqual(calls, [['1', '2'], ['3']]);
+				});
+			});
+
+			it('render() should fail all tags of a batch if the batch handler fails.', ()=>{
+				const parser = Shortcode({onError: 'keep'});
+
+				parser.add('user', ()=>Promise.reject(new Error('Failed')), {batch: true});
+				parser.add('short', ()=>['ONE'], {batch: true});
+
+				return parser.render('[[user id=1]] [[user id=2]] [[short]] [[short]]').then(result=>{
+					assert.equal(result.txt, '[[user id=1]] [[user id=2]] [[short]] [[short]]');
+					assert.lengthOf(result.errors, 4);
+					assert.equal(result.errors[3].error.message, 'Batch handler for \'short\' must return an array with a result for each tag');
+				});
+			});
+
+			it('renderSync() should call batch handlers with one tag at a time.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('user', _tags=>_tags.map(tag=>`${_tags.length}:${tag.attributes.id}`), {batch: true});
+
+				assert.equal(parser.parseSync('[[user id=1]] [[user id=2]]'), '1:1 1:2');
+			});
+
+			it('ShortcodeParser() and add() should throw if concurrency or timeout are not valid.', ()=>{
+				assert.throws(()=>Shortcode({concurrency: 0}), RangeError);
+				assert.throws(()=>Shortcode({timeout: -1}), 'timeout must be a number, which is at least 0');
+				assert.throws(()=>Shortcode().add('TEST', ()=>{}, {concurrency: 'many'}), 'concurrency must be a number, which is at least 1');
+			});
+
+			it('ShortcodeParser() should throw if onError is not valid.', ()=>{
+				assert.throws(()=>Shortcode({onError: 'ignore'}), TypeError);
+				assert.throws(()=>Shortcode({onError: 'ignore'}), 'onError must be a function or one of: throw, keep, remove');
+			});
+
+			it('render() should give a source map and the output ranges of each tag when asked.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('a', ()=>'<div>\n[[b]]\n</div>');
+				parser.add('b', ()=>Promise.resolve('<b>B</b>'));
+
+				return parser.render('Hi [[a]] there\nline2 [[b]]\n', {sourceMap: {source: 'in.txt', file: 'out.html'}}).then(result=>{
+					assert.equal(result.txt, 'Hi <div>\n<b>B</b>\n</div> there\nline2 <b>B</b>\n');
+					assert.deepEqual(result.map, {
+						version: 3,
+						file: 'out.html',
+						sources: ['in.txt'],
+						sourcesContent: ['Hi [[a]] there\nline2 [[b]]\n'],
+						names: ['a', 'b'],
+						mappings: 'AAAA,GAAGA;AAAAC,QAAAD;AAAAA,MAAK;AACR,MAAMC,QAAK'
+					});
+					assert.deepEqual(result.ranges.map(range=>[range.start, range.end, range.tag.tagName, range.tag.depth, range.source]), [
+						[3, 9, 'a', 0, {start: 3, end: 8}],
+						[9, 17, 'b', 1, {start: 3, end: 8}],
+						[17, 24, 'a', 0, {start: 3, end: 8}],
+						[37, 45, 'b', 0, {start: 21, end: 26}]
+					]);
+				});
+			});
+
+			it('render() should only give a source map for the text before afterParse hooks change it.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('a', ()=>'A');
+
+				assert.isUndefined(parser.renderSync('[[a]]').map);
+				assert.equal(parser.renderSync('x\n[[a]]y', {sourceMap: true}).map.mappings, 'AAAA;AACAA,CAAK');
+				assert.throws(()=>parser.renderSync('[[a]]', {sourceMap: 'map'}), TypeError);
+
+				parser.use({afterParse: txt=>txt.toLowerCase()});
+				const result = parser.renderSync('[[a]]', {sourceMap: true});
+				assert.equal(result.txt, 'a');
+				assert.isNull(result.map);
+				assert.isNull(result.ranges);
+			});
+		});
+
+		describe('Parse policies', ()=>{
+			/**
+			 * Create a parser with handlers for user and admin content.
+			 *
+			 * @returns {ShortcodeParser}
+			 */
+			function createPolicyParser() {
+				const parser = Shortcode();
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+				parser.add('quote', tag=>`<q>${tag.content}</q>`);
+				parser.add('admin', (tag, user)=>`Admin: ${user}`);
+				parser.add(/^x-/, ()=>'X');
+				return parser;
+			}
+
+			const txt = '[[b]]1[[/b]] [[quote]]2[[/quote]] [[admin]] [[x-y]]';
+
+			it('Only tags in the allow list should be rendered.', ()=>{
+				const parser = createPolicyParser();
+
+				return Promise.all([
+					assert.eventually.equal(parser.render(txt, {params: ['me'], policy: {allow: ['b', 'quote']}}).then(result=>result.txt), '<b>1</b> <q>2</q> [[admin]] [[x-y]]'),
+					assert.eventually.equal(parser.render(txt, {params: ['me'], policy: {allow: [/^x-/]}}).then(result=>result.txt), '[[b]]1[[/b]] [[quote]]2[[/quote]] [[admin]] X'),
+					assert.eventually.equal(parser.render(txt, {params: ['me']}).then(result=>result.txt), '<b>1</b> <q>2</q> Admin: me X')
+				]);
+			});
+
+			it('Tags in the deny list should not be rendered.', ()=>{
+				const parser = createPolicyParser();
+
+				assert.equal(parser.renderSync(txt, {params: ['me'], policy: {deny: ['admin', /^x-/]}}).txt, '<b>1</b> <q>2</q> [[admin]] [[x-y]]');
+				assert.equal(parser.renderSync('[[b]][[admin]][[/b]]', {params: ['me'], policy: {deny: ['b']}}).txt, '[[b]]Admin: me[[/b]]');
+			});
+
+			it('The parser policy option should set the default policy.', ()=>{
+				const parser = Shortcode({policy: {deny: ['b']}});
+
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+
+				assert.equal(parser.parseSync('[[b]]1[[/b]]'), '[[b]]1[[/b]]');
+				assert.equal(parser.renderSync('[[b]]1[[/b]]', {policy: {}}).txt, '<b>1</b>');
+			});
+
+			it('Tags nested too deeply or over the maximum tag count should fail.', ()=>{
+				const parser = createPolicyParser();
+
+				return Promise.all([
+					assert.isRejected(parser.render('[[b]][[b]][[b]]x[[/b]][[/b]][[/b]]', {policy: {maxNesting: 1}}), RangeError, 'nested more than 1 deep'),
+					parser.render('[[b]][[b]][[b]]x[[/b]][[/b]][[/b]]', {onError: 'keep', policy: {maxNesting: 1}}).then(result=>{
+						assert.equal(result.txt, '<b><b>[[b]]x[[/b]]</b></b>');
+						assert.lengthOf(result.errors, 1);
+					}),
+					assert.eventually.equal(parser.render('[[b]]a[[/b]][[b]]b[[/b]][[b]]c[[/b]]', {onError: 'remove', policy: {maxTags: 2}}).then(result=>result.txt), '<b>a</b><b>b</b>')
+				]);
+			});
+
+			it('Parses giving too much output should fail.', ()=>{
+				const parser = createPolicyParser();
+				const stream = parser.createParseStream({policy: {maxOutput: 10}});
+
+				stream.resume();
+				stream.write('<b>');
+				stream.end('[[b]]1234567890[[/b]]');
+
+				return Promise.all([
+					assert.isRejected(parser.render('[[b]]12345678[[/b]]', {policy: {maxOutput: 10}}), RangeError, 'Maximum output length of 10 exceeded'),
+					assert.eventually.equal(parser.render('[[b]]1234[[/b]]', {policy: {maxOutput: 11}}).then(result=>result.txt), '<b>1234</b>'),
+					assert.isRejected(new Promise((resolve, reject)=>{
+						stream.on('end', resolve);
+						stream.on('error', reject);
+					}), RangeError)
+				]);
+			});
+
+			it('Sandboxed handlers should get a frozen copy of the tag and no parameters.', ()=>{
+				const parser = Shortcode();
+				let handlerTag;
+				let handlerParams;
+
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+				parser.add('spy', (tag, ...params)=>{
+					handlerTag = tag;
+					handlerParams = params;
+					return 'SPY';
+				});
+				parser.add('batch', _tags=>_tags.map(tag=>String(Object.isFrozen(tag) && Object.isFrozen(tag.attributes))), {batch: true});
+
+				assert.equal(parser.renderSync('[[b]][[spy a=1]][[/b]] [[batch]]', {params: ['secret'], policy: {sandbox: true}}).txt, '<b>SPY</b> true');
+				assert.deepEqual(handlerParams, []);
+				assert.isTrue(Object.isFrozen(handlerTag));
+				assert.isUndefined(handlerTag.parent);
+				assert.isUndefined(handlerTag.chain);
+				assert.throws(()=>{
+					handlerTag.attributes.a = 2;
+				}, TypeError);
+			});
+
+			it('Invalid policies should throw.', ()=>{
+				const parser = createPolicyParser();
+
+				assert.throws(()=>parser.renderSync('', {policy: 'strict'}), TypeError);
+				assert.throws(()=>parser.renderSync('', {policy: {allow: 'b'}}), TypeError);
+				assert.throws(()=>parser.renderSync('', {policy: {maxTags: -1}}), RangeError);
+				assert.throws(()=>Shortcode({policy: {deny: 'b'}}), TypeError);
+			});
+		});
+
+		describe('Handler caching', ()=>{
+			it('Cached handlers should only run once for the same tag name, attributes and content.', ()=>{
+				const parser = Shortcode();
+				let calls = 0;
+
+				parser.add('menu', tag=>`${tag.attributes.name}${++calls}`, {cache: true});
+
+				assert.equal(parser.parseSync('[[menu name=main]] [[menu name=main]] [[menu name=footer]]'), 'main1 main1 footer2');
+				assert.equal(parser.parseSync('[[menu name=main]] [[menu name=main]]x[[/menu]]'), 'main1 main3');
+				return assert.eventually.equal(parser.parse('[[menu name=footer]]'), 'footer2');
+			});
+
+			it('Identical cached tags should share a pending handler call.', ()=>{
+				const parser = Shortcode();
+				let calls = 0;
+
+				parser.add('c', ()=>Promise.delay(10).then(()=>`C${calls++}`), {cache: true});
+
+				return parser.parse('[[c x=1]] [[c x=1]] [[c x=2]]').then(result=>{
+					assert.equal(result, 'C0 C0 C1');
+					return assert.eventually.equal(parser.parse('[[c x=1]]'), 'C0');
+				});
+			});
+
+			it('Cached results should expire after the ttl.', ()=>{
+				const parser = Shortcode();
+				let calls = 0;
+
+				parser.add('time', ()=>++calls, {cache: {ttl: 20}});
+
+				assert.equal(parser.parseSync('[[time]]'), '1');
+				assert.equal(parser.parseSync('[[time]]'), '1');
+				return Promise.delay(30).then(()=>assert.equal(parser.parseSync('[[time]]'), '2'));
+			});
+
+			it('Cache keys should be created by the key function.', ()=>{
+				const parser = Shortcode();
+				let calls = 0;
+
+				parser.add('embed', ()=>++calls, {cache: {key: tag=>tag.attributes.url}});
+
+				assert.equal(parser.parseSync('[[embed url=a size=1]] [[embed url=a size=2]] [[embed url=b]]'), '1 1 2');
+			});
+
+			it('invalidate() should remove the cached results for a tag name.', ()=>{
+				const parser = Shortcode();
+				const store = Shortcode.createMemoryStore();
+				let calls = 0;
+
+				parser.add('menu', ()=>`menu${++calls}`, {cache: {store}});
+				parser.add(/^embed-/, tag=>`${tag.tagName}${++calls}`, {cache: {store}});
+
+				assert.equal(parser.parseSync('[[menu]] [[embed-a]] [[embed-b]]'), 'menu1 embed-a2 embed-b3');
+				return parser.invalidate('embed-a').then(()=>{
+					assert.equal(parser.parseSync('[[menu]] [[embed-a]] [[embed-b]]'), 'menu1 embed-a4 embed-b3');
+				});
+			});
+
+			it('Asynchronous stores should be supported in asynchronous parses.', ()=>{
+				const parser = Shortcode();
+				const entries = new Map();
+				const store = {
+					get: key=>Promise.delay(1).then(()=>(entries.has(key) ? entries.get(key).value : undefined)),
+					set: (key, value, options)=>Promise.delay(1).then(()=>entries.set(key, {value, options})),
+					invalidate: ()=>Promise.resolve()
+				};
+				let calls = 0;
+
+				parser.add('menu', ()=>`<${++calls}>`, {cache: {store, ttl: 1000}, output: 'text'});
+
+				return parser.parse('[[menu name=main]]').then(parsedTxt=>{
+					assert.equal(parsedTxt, '&lt;1&gt;');
+					assert.deepEqual(Array.from(entries.values()), [{value: '<1>', options: {ttl: 1000, tagName: 'menu'}}]);
+					assert.throws(()=>parser.parseSync('[[menu name=main]]'), TypeError);
+					return assert.eventually.equal(parser.parse('[[menu name=main]]'), '&lt;1&gt;');
+				});
+			});
+
+			it('createMemoryStore() should remove the least recently used entries when full.', ()=>{
+				const store = Shortcode.createMemoryStore({max: 2});
+
+				store.set('a', 'A');
+				store.set('b', 'B');
+				assert.equal(store.get('a'), 'A');
+				store.set('c', 'C');
+
+				assert.isUndefined(store.get('b'));
+				assert.equal(store.get('a'), 'A');
+				assert.equal(store.get('c'), 'C');
+				assert.throws(()=>Shortcode.createMemoryStore({max: 0}), RangeError);
+			});
+
+			it('Invalid cache settings should throw.', ()=>{
+				const parser = Shortcode();
+
+				assert.throws(()=>parser.add('a', ()=>'', {cache: {store: {}}}), TypeError);
+				assert.throws(()=>parser.add('b', ()=>'', {cache: {key: 'url'}}), TypeError);
+				assert.throws(()=>parser.add('c', ()=>'', {cache: {ttl: -1}}), RangeError);
+				assert.throws(()=>parser.add('d', ()=>[], {cache: true, batch: true}), TypeError);
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.renderSync'), ()=>{
+			it('renderSync() should return the parsed text and a report of errors.', ()=>{
+				const parser = Shortcode({onError: (tag, error)=>error.message});
+
+				parser.add('OK', ()=>'OK');
+				parser.add('THROW', ()=>{
+					throw new Error('Thrown');
+				});
+
+				assert.deepEqual(parser.renderSync('[[OK]] [[THROW]]').txt, 'OK Thrown');
+				assert.lengthOf(parser.renderSync('[[OK]] [[THROW]]').errors, 1);
+				assert.throws(()=>parser.renderSync('[[THROW]]', {onError: 'throw'}), 'Thrown');
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.tokenize'), ()=>{
+			it('tokenize() should return all start and end tags with their positions, without running handlers.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('row', ()=>assert.fail());
+
+				const tags = parser.tokenize('Intro\n[[row id=1]]\n[[unknown]]x[[/row]]');
+
+				assert.deepEqual(tags.map(tag=>tag.tagName), ['row', 'unknown', 'row']);
+				assert.deepEqual(tags.map(tag=>tag.endTag), [false, false, true]);
+				assert.deepEqual(tags.map(tag=>[tag.start, tag.end]), [[6, 18], [19, 30], [31, 39]]);
+				assert.deepEqual(tags[1].loc, {start: {line: 3, column: 0}, end: {line: 3, column: 11}});
+				assert.equal(tags[0].attributes.id, '1');
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.extract'), ()=>{
+			it('extract() should return a tree of text and tag nodes, including tags without handlers.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('row', ()=>assert.fail());
+
+				const ast = parser.extract('A [[row]]\n[[col 1]]B[[/col]][[/row]]');
+
+				assert.equal(ast.type, 'root');
+				assert.deepEqual(ast.children.map(node=>node.type), ['text', 'tag']);
+
+				const row = ast.children[1];
+				assert.equal(row.tagName, 'row');
+				assert.isTrue(row.handled);
+				assert.equal(row.openTag, '[[row]]');
+				assert.equal(row.closeTag, '[[/row]]');
+				assert.deepEqual(row.loc, {start: {line: 1, column: 2}, end: {line: 2, column: 26}});
+				assert.deepEqual(row.children.map(node=>node.type), ['text', 'tag']);
+
+				const col = row.children[1];
+				assert.isFalse(col.handled);
+				assert.equal(col.attributes[1], '1');
+				assert.deepEqual(col.children, [{type: 'text', value: 'B', start: 19, end: 20, loc: {start: {line: 2, column: 9}, end: {line: 2, column: 10}}}]);
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.validate'), ()=>{
+			it('validate() should report stray end tags, crossed tags and unclosed tags.', ()=>{
+				const parser = Shortcode();
+
+				['row', 'col', 'b', 'i'].forEach(tagName=>parser.add(tagName, ()=>assert.fail()));
+
+				const diagnostics = parser.validate('[[/col]] [[row]]\n[[b]][[i]]x[[/b]][[/i]] [[row]]y[[/row]]');
+
+				assert.deepEqual(diagnostics.map(diagnostic=>[diagnostic.severity, diagnostic.code, diagnostic.tagName]), [
+					['error', 'unmatched-end-tag', 'col'],
+					['warning', 'unclosed-tag', 'row'],
+					['error', 'crossed-tags', 'i']
+				]);
+				assert.equal(diagnostics[0].message, 'End tag \'col\' has no start tag');
+				assert.deepEqual(diagnostics[2].loc, {start: {line: 2, column: 17}, end: {line: 2, column: 23}});
+				assert.deepEqual([diagnostics[1].start, diagnostics[1].end], [9, 16]);
+				assert.deepEqual(parser.validate('[[row]][[col]]x[[/col]][[b]][[/row]]'), []);
+			});
+
+			it('validate() should warn of repeated attribute names and tags without a handler.', ()=>{
+				const parser = Shortcode();
+				const wordpress = Shortcode({mode: 'wordpress'});
+
+				parser.add('img', ()=>assert.fail());
+				wordpress.add('img', ()=>assert.fail());
+
+				assert.deepEqual(parser.validate('[[img src=a.png class=a class=b]]x [[video]]').map(diagnostic=>diagnostic.message), [
+					'Attribute \'class\' is given more than once in tag \'img\'',
+					'Tag \'video\' has no handler'
+				]);
+				assert.deepEqual(wordpress.validate('[img src=a src=b]x[/img] [[video]]').map(diagnostic=>[diagnostic.code, diagnostic.start, diagnostic.end]), [
+					['duplicate-attribute', 0, 17]
+				]);
+			});
+
+			it('validate() should ignore escaped tags.', ()=>{
+				const parser = Shortcode({escapeChar: '\\', rawTag: 'raw'});
+
+				assert.deepEqual(parser.validate('\\[[/b]] [[raw]][[/i]][[x]][[/raw]]'), []);
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.stringify'), ()=>{
+			it('stringify() should give back the original text for an unedited tree.', ()=>{
+				const txt = 'Intro [[row  a=1 ]]\n[[col "x y"]]A[[/col]][[br]]\n[[/row test]] end [[/stray]] [[unclosed]]';
+				const wordpressTxt = '[[escaped]] [foo /] [b]x[b]y[/b]z[/b] [[enclosed]x[/enclosed]]';
+
+				assert.equal(Shortcode().stringify(Shortcode().extract(txt)), txt);
+				assert.equal(Shortcode({mode: 'wordpress'}).stringify(Shortcode({mode: 'wordpress'}).extract(wordpressTxt)), wordpressTxt);
+			});
+
+			it('stringify() should include edits made to the tree.', ()=>{
+				const parser = Shortcode();
+				const ast = parser.extract('[[row a=1 2]][[col]]A[[/col]][[/row]]');
+				const row = ast.children[0];
+
+				delete row.openTag;
+				row.attributes.a = 'new value';
+				row.attributes.b = 'b';
+				row.children[0].children[0].value = 'B';
+				row.children.push({type: 'tag', tagName: 'hr', selfClosing: true});
+				row.children.push({type: 'tag', tagName: 'p', children: [{type: 'text', value: 'C'}]});
+
+				assert.equal(parser.stringify(ast), '[[row a="new value" 2 b=b]][[col]]B[[/col]][[hr]][[p]]C[[/p]][[/row]]');
+				assert.equal(parser.stringify(row.children), '[[col]]B[[/col]][[hr]][[p]]C[[/p]]');
+			});
+		});
+
+		describe(describeItem(jsDoc, 'ShortcodeParser.createParseStream'), ()=>{
+			function streamText(stream, txt, size) {
+				return new Promise((resolve, reject)=>{
+					const output = [];
+					stream.on('data', data=>output.push(String(data)));
+					stream.on('end', ()=>resolve(output));
+					stream.on('error', reject);
+					for (let n = 0; n < txt.length; n += size) stream.write(Buffer.from(txt.slice(n, n + size)));
+					stream.end();
+				});
+			}
+
+			it('createParseStream() should give the same output as parse(), whatever the chunk size.', ()=>{
+				const parser = Shortcode();
+				const txt = 'Hello [[b]]world [[x n=1]][[/b]] then [[x n=2]] and [[x n=3]] £€ end [[unclosed]] more [[ text';
+
+				parser.add('b', tag=>Promise.delay(5).then(()=>`<b>${tag.content}</b>`));
+				parser.add('x', tag=>`X${tag.attributes.n}`);
+
+				return parser.parse(txt).then(parsedTxt=>Promise.all([1, 2, 3, 7, 100].map(
+					size=>assert.eventually.equal(streamText(parser.createParseStream(), txt, size).then(output=>output.join('')), parsedTxt)
+				)));
+			});
+
+			it('createParseStream() should push output in order, as soon as each tag is rendered.', ()=>{
+				const parser = Shortcode();
+				const pushed = [];
+
+				parser.add('slow', ()=>Promise.delay(30).then(()=>{
+					pushed.push('slow resolved');
+					return 'SLOW';
+				}));
+				parser.add('fast', ()=>'FAST');
+
+				const stream = parser.createParseStream();
+				stream.on('data', data=>pushed.push(String(data)));
+				stream.write('A [[fa');
+				stream.write('st]] B [[slow]] C [[');
+				stream.end('fast]]');
+
+				return new Promise(resolve=>stream.on('end', resolve)).then(()=>{
+					assert.deepEqual(pushed, ['A ', 'FAST', ' B ', 'slow resolved', 'SLOW', ' C ', 'FAST']);
+				});
+			});
+
+			it('createParseStream() should wait for the end tag, up to the lookahead.', ()=>{
+				const parser = Shortcode();
+
+				parser.add('b', tag=>`<b>${tag.content}</b>`);
+
+				return Promise.all([
+					assert.eventually.deepEqual(streamText(parser.createParseStream(), '[[b]]0123456789[[/b]]', 5), ['<b>0123456789</b>']),
+					assert.eventually.deepEqual(streamText(parser.createParseStream({lookahead: 10}), '[[b]]0123456789[[/b]]', 5), ['<b></b>', '0123456789', '[[/b]]'])
+				]);
+			});
+
+			it('createParseStream() should handle escaped and self-closing tags in wordpress mode.', ()=>{
+				const parser = Shortcode({mode: 'wordpress'});
+				const txt = 'a [[foo]] b [foo/] c [foo]x[/foo] d [[foo]y[/foo]] e [';
+
+				parser.add('foo', tag=>`F(${tag.content})`);
+
+				return Promise.all([1, 2, 5].map(
+					size=>assert.eventually.equal(streamText(parser.createParseStream(), txt, size).then(output=>output.join('')), parser.parseSync(txt))
+				));
+			});
+
+			it('createParseStream() should emit errors or report them according to onError.', ()=>{
+				const parser = Shortcode();
+				const stream = parser.createParseStream({onError: 'keep'});
+
+				parser.add('FAIL', ()=>{throw new Error('Failed');});
+
+				return Promise.all([
+					assert.isRejected(streamText(parser.createParseStream(), 'A [[FAIL]] B', 4), 'Failed'),
+					streamText(stream, 'A [[FAIL]] B', 4).then(output=>{
+						assert.equal(output.join(''), 'A [[FAIL]] B');
+						assert.lengthOf(stream.errors, 1);
+						assert.equal(stream.errors[0].error.message, 'Failed');
+					})
+				]);
+			});
+
+			it('createParseStream() should throw if lookahead is not valid.', ()=>{
+				assert.throws(()=>Shortcode().createParseStream({lookahead: -1}), RangeError);
+			});
+		});
+	});
+});